@@ -0,0 +1,258 @@
+// AI categorization of discovered plugins, themes and tools. Items are sent
+// in batches; every reply is validated against a JSON schema and re-requested
+// when malformed. Answers the model is unsure about (and, if configured, those
+// disagreeing with the keyword rules) are flagged for human review instead of
+// guessed.
+
+// Model answer → category key of the list
+export const CATEGORY_KEYS = {
+  plugin: "plugins",
+  theme: "themes",
+  tool: "tools",
+};
+
+export const SYSTEM_PROMPT =
+  "You are a helpful assistant that categorizes documentation resources.";
+
+/**
+ * Category the keyword rules give `item`: the fallback when the model
+ * cannot be used, and the second opinion its answers are checked against
+ */
+export function keywordCategory(item) {
+  // Whole words only: "cli" is not "client", "theme" is not "theming"
+  const text = `${item.title} ${item.description}`.toLowerCase();
+  if (/\bthemes?\b/.test(text)) return "theme";
+  if (/\b(vscode|cli|generators?)\b/.test(text)) return "tool";
+  return "plugin";
+}
+
+/**
+ * JSON schema of the reply for a batch of `count` items: one object per item
+ * ID ("0", "1", ...). Sent to providers supporting structured output and
+ * checked by validateSchema() in any case.
+ */
+export function categorizationSchema(count) {
+  const answer = {
+    type: "object",
+    properties: {
+      category: { type: "string", enum: Object.keys(CATEGORY_KEYS) },
+      confidence: { type: "number", minimum: 0, maximum: 1 },
+      rationale: { type: "string" },
+    },
+    required: ["category", "confidence", "rationale"],
+    additionalProperties: false,
+  };
+  const ids = Array.from({ length: count }, (_, i) => String(i));
+  return {
+    type: "object",
+    properties: Object.fromEntries(ids.map((id) => [id, answer])),
+    required: ids,
+    additionalProperties: false,
+  };
+}
+
+const typeOf = (value) =>
+  Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+/**
+ * Problems of `value` against `schema` (the JSON schema subset used by
+ * categorizationSchema()), empty when it is valid
+ */
+export function validateSchema(value, schema, at = "reply") {
+  if (typeOf(value) !== schema.type) {
+    return [`${at} must be a ${schema.type}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at} must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at} must be at most ${schema.maximum}`);
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key} is missing`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const property = schema.properties?.[key];
+      if (property) {
+        errors.push(...validateSchema(child, property, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not expected`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * The JSON object in a model reply (possibly wrapped in prose or a code
+ * fence), validated against `schema`. Throws when it is missing or invalid.
+ */
+export function parseCategorization(text, schema) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    throw new Error("reply does not contain a JSON object");
+  }
+
+  let value;
+  try {
+    value = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`reply is not valid JSON (${error.message})`);
+  }
+
+  const errors = validateSchema(value, schema);
+  if (errors.length > 0) throw new Error(errors.join("; "));
+  return value;
+}
+
+export function buildCategorizationPrompt(items) {
+  const itemsList = items
+    .map((item, i) => `${i}. ${item.title} | ${item.url} | ${item.description}`)
+    .join("\n");
+
+  // PRECISE INSTRUCTIONS (DO NOT MODIFY)
+  return `Categorize these Starlight-related NPM packages into ONE category each.
+
+CATEGORIES:
+
+**themes** - Visual themes/styling presets
+- Pattern: "starlight-theme-*"
+- Examples: "starlight-theme-rapide", "starlight-theme-galaxy"
+- Must be for visual appearance only
+
+**plugins** - Starlight plugins (injected via plugins array)
+- For END USERS of Starlight
+- Extends Starlight functionality
+- Examples: "starlight-blog", "starlight-openapi", "starlight-image-zoom"
+
+**tools** - Development tools (NOT injected as plugins)
+- For DEVELOPERS/AUTHORS, not end users
+- VS Code extensions, CLI tools, generators
+- CRITICAL EXAMPLES:
+  * "starlight-i18n" = tool (VS Code extension)
+  * "@hideoo/starlight-plugin" = tool (generator)
+  * "generator-starlight-plugin" = tool
+  * "starlight-to-pdf" = tool (CLI)
+
+RULES:
+- If it's a VS Code extension → tool
+- If it's for plugin authors → tool
+- If it's a CLI utility → tool
+- If name has "theme" → theme
+- Otherwise → plugin
+
+Packages (format: ID | name | url | description):
+${itemsList}
+
+Respond with ONLY a JSON object with one answer per ID. "confidence" is how
+sure you are, from 0 to 1, and "rationale" is one short sentence:
+{
+  "0": { "category": "plugin", "confidence": 0.95, "rationale": "..." },
+  "1": { "category": "theme", "confidence": 0.9, "rationale": "..." },
+  "2": { "category": "tool", "confidence": 0.8, "rationale": "..." },
+  ...
+}`;
+}
+
+/**
+ * Asks `llm` for the categories of `items`, re-asking up to `retries` times
+ * when the reply is malformed. Returns the validated answers by item ID.
+ */
+async function requestBatch(llm, items, retries) {
+  const schema = categorizationSchema(items.length);
+  const prompt = buildCategorizationPrompt(items);
+  let rejection;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const reply = await llm.complete({
+      system: SYSTEM_PROMPT,
+      prompt: rejection
+        ? `${prompt}\n\nYour previous reply was rejected: ${rejection}. Reply again with ONLY the JSON object.`
+        : prompt,
+      schema,
+    });
+    try {
+      return parseCategorization(reply, schema);
+    } catch (error) {
+      rejection = error.message;
+      console.warn(
+        `   ⚠️ Malformed categorization (attempt ${attempt + 1}/${retries + 1}): ${rejection}`,
+      );
+    }
+  }
+  throw new Error(
+    `malformed reply after ${retries + 1} attempt(s): ${rejection}`,
+  );
+}
+
+/**
+ * Result for the model's `answer` about `item` ({ category, confidence,
+ * rationale }), flagged for review under the rules in `options`
+ */
+export function assessAnswer(item, answer, options) {
+  const { category, confidence, rationale } = answer;
+  const keywords = keywordCategory(item);
+  let review = null;
+  if (confidence < options.minConfidence) {
+    review = `low confidence (${confidence})`;
+  } else if (options.reviewDisagreements && category !== keywords) {
+    review = `AI says ${category}, keyword rules say ${keywords}`;
+  }
+  return { item, category, confidence, rationale, keywords, review };
+}
+
+/**
+ * Categorizes `items` with `llm` in batches of `options.batchSize` (the
+ * `categorization` config section). Returns one result per item:
+ *
+ *   { item, category, confidence, rationale, keywords, review }
+ *
+ * where `category` is "plugin", "theme" or "tool", `keywords` is the
+ * keyword rules' answer and `review` the reason the result needs a human
+ * (null when it can be trusted). A batch the model cannot answer falls back
+ * to the keyword rules, flagged for review.
+ */
+export async function categorize(llm, items, options) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += options.batchSize) {
+    batches.push(items.slice(i, i + options.batchSize));
+  }
+
+  const results = await Promise.all(
+    batches.map(async (batch) => {
+      let answers;
+      let failure;
+      try {
+        answers = await requestBatch(llm, batch, options.retries);
+      } catch (error) {
+        failure = error.message;
+        console.error(`   ✗ AI categorization failed: ${failure}`);
+      }
+
+      return batch.map((item, i) => {
+        const keywords = keywordCategory(item);
+        if (!answers) {
+          return {
+            item,
+            category: keywords,
+            confidence: null,
+            rationale: null,
+            keywords,
+            review: `AI categorization failed (${failure})`,
+          };
+        }
+
+        return assessAnswer(item, answers[String(i)], options);
+      });
+    }),
+  );
+  return results.flat();
+}
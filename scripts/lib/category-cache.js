@@ -0,0 +1,112 @@
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { entryId } from "./entry-store.js";
+
+export const CATEGORY_CACHE_VERSION = 1;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Answers not used for this long belong to items that left the sources
+const FORGET_AFTER_DAYS = 90;
+
+/**
+ * Cache key of a discovered item: its npm package, or its URL for projects
+ * only found on GitHub
+ */
+export function categoryKey(item) {
+  return item.package ? `npm:${item.package}` : `url:${entryId(item.url)}`;
+}
+
+/**
+ * Hash of what the categorization is based on: the name, description and
+ * keywords of the item. Changing any of them asks the AI again.
+ */
+export function contentHash(item) {
+  const keywords = [...(item.keywords || [])].sort();
+  return createHash("sha256")
+    .update(
+      JSON.stringify([
+        item.package || item.title,
+        item.description || "",
+        keywords,
+      ]),
+    )
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * AI categorizations of discovered items, persisted to data/categories.json
+ * so unchanged packages are not sent to the model again (and do not flip
+ * between categories from one run to the next).
+ */
+export class CategoryCache {
+  constructor(filePath, data = {}) {
+    this.filePath = filePath;
+    this.items = new Map(Object.entries(data.items || {}));
+  }
+
+  static async load(filePath) {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+      return new CategoryCache(filePath, data);
+    } catch (error) {
+      if (error.code === "ENOENT") return new CategoryCache(filePath);
+      throw error;
+    }
+  }
+
+  /**
+   * The cached answer for `item` ({ category, confidence, rationale }), or
+   * undefined when it was never categorized or has changed since. Marks
+   * the answer as used on `date`.
+   */
+  lookup(item, date) {
+    const record = this.items.get(categoryKey(item));
+    if (!record || record.hash !== contentHash(item)) return undefined;
+    record.lastUsed = date.toISOString().slice(0, 10);
+    const { category, confidence, rationale } = record;
+    return { category, confidence, rationale };
+  }
+
+  /**
+   * Stores the model's answer about `item`, categorized on `date`
+   */
+  remember(item, { category, confidence, rationale }, date) {
+    const day = date.toISOString().slice(0, 10);
+    this.items.set(categoryKey(item), {
+      title: item.title,
+      hash: contentHash(item),
+      category,
+      confidence,
+      rationale,
+      categorizedAt: day,
+      lastUsed: day,
+    });
+  }
+
+  prune(now) {
+    for (const [key, record] of this.items) {
+      if ((now - new Date(record.lastUsed)) / DAY > FORGET_AFTER_DAYS) {
+        this.items.delete(key);
+      }
+    }
+  }
+
+  toJSON() {
+    const items = Object.fromEntries(
+      [...this.items.entries()].sort(([a], [b]) => a.localeCompare(b)),
+    );
+    return { version: CATEGORY_CACHE_VERSION, items };
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(
+      this.filePath,
+      JSON.stringify(this.toJSON(), null, 2) + "\n",
+      "utf-8",
+    );
+  }
+}
@@ -0,0 +1,169 @@
+// Differences between two versions of the entry store, rendered for humans
+// (commit body / PR description) and machines (JSON).
+
+import { CATEGORY_TITLES } from "./entry-store.js";
+
+const summarize = (entry) => ({
+  id: entry.id,
+  title: entry.title,
+  url: entry.url,
+  category: entry.category,
+});
+
+/**
+ * Compares the previous and next store contents (maps of id → entry).
+ * `reasons` maps entry ids to why they were dropped during this run.
+ */
+export function diffEntries(previous, next, reasons = new Map()) {
+  const changes = {
+    added: [],
+    removed: [],
+    moved: [],
+    descriptionChanged: [],
+    maintenanceChanged: [],
+  };
+
+  for (const [id, entry] of next) {
+    const before = previous.get(id);
+    if (!before) {
+      changes.added.push({ ...summarize(entry), source: entry.source });
+      continue;
+    }
+    if (before.category !== entry.category) {
+      changes.moved.push({
+        ...summarize(entry),
+        from: before.category,
+        to: entry.category,
+      });
+    }
+    if ((before.description || "") !== (entry.description || "")) {
+      changes.descriptionChanged.push({
+        ...summarize(entry),
+        from: before.description || "",
+        to: entry.description || "",
+      });
+    }
+    if (Boolean(before.unmaintained) !== Boolean(entry.unmaintained)) {
+      changes.maintenanceChanged.push({
+        ...summarize(entry),
+        unmaintained: entry.unmaintained || null,
+      });
+    }
+  }
+
+  for (const [id, entry] of previous) {
+    if (next.has(id)) continue;
+    changes.removed.push({
+      ...summarize(entry),
+      reason: reasons.get(id) || "no longer found in any source",
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * One-line summary, e.g. "+3 added, -1 removed, 2 moved"
+ */
+export function summaryLine(changes) {
+  const parts = [
+    changes.added.length && `+${changes.added.length} added`,
+    changes.removed.length && `-${changes.removed.length} removed`,
+    changes.moved.length && `${changes.moved.length} moved`,
+    changes.descriptionChanged.length &&
+      `${changes.descriptionChanged.length} description(s) changed`,
+    changes.maintenanceChanged.length &&
+      `${changes.maintenanceChanged.length} maintenance change(s)`,
+  ].filter(Boolean);
+  return parts.length ? parts.join(", ") : "no entry changes";
+}
+
+const link = (entry) => `[${entry.title}](${entry.url})`;
+const categoryTitle = (category) => CATEGORY_TITLES[category] || category;
+
+/**
+ * Markdown report of `changes`, followed by the links that are currently
+ * failing but still listed (see LinkHealth.degraded()), the source
+ * adapters that failed in this run, the categorizations waiting for
+ * review and the problems found in the README (see scripts/lib/readme.js)
+ */
+export function renderChangelogMarkdown(
+  changes,
+  degraded = [],
+  sources = [],
+  review = [],
+  readme = [],
+) {
+  const sections = [];
+  const addSection = (title, items, format) => {
+    if (items.length === 0) return;
+    sections.push(`### ${title}\n\n${items.map(format).join("\n")}`);
+  };
+
+  addSection(
+    "Added",
+    changes.added,
+    (e) => `- ${link(e)} to ${categoryTitle(e.category)} (from ${e.source})`,
+  );
+  addSection(
+    "Removed",
+    changes.removed,
+    (e) => `- ${link(e)} from ${categoryTitle(e.category)}: ${e.reason}`,
+  );
+  addSection(
+    "Moved",
+    changes.moved,
+    (e) => `- ${link(e)}: ${categoryTitle(e.from)} → ${categoryTitle(e.to)}`,
+  );
+  addSection(
+    "Description changed",
+    changes.descriptionChanged,
+    (e) => `- ${link(e)}: "${e.from}" → "${e.to}"`,
+  );
+  addSection("Maintenance", changes.maintenanceChanged, (e) =>
+    e.unmaintained
+      ? `- ${link(e)}: now unmaintained (${e.unmaintained.join("; ")})`
+      : `- ${link(e)}: maintained again`,
+  );
+
+  const body = sections.length ? sections.join("\n\n") : "No entry changes.";
+  let markdown = `## Changes\n\n${summaryLine(changes)}\n\n${body}\n`;
+
+  if (degraded.length > 0) {
+    const rows = degraded.map((link) => {
+      const last = link.last.status
+        ? `HTTP ${link.last.status}`
+        : "unreachable";
+      return `- ${link.url}: ${last}, ${link.consecutiveFailures} failed check(s) since ${link.failingSince}`;
+    });
+    markdown += `\n## Degraded links\n\n${rows.join("\n")}\n`;
+  }
+
+  const failed = sources.filter((source) => !source.ok);
+  if (failed.length > 0) {
+    const rows = failed.map(
+      (source) =>
+        `- ${source.name}: ${source.error} (kept ${source.count} entr(ies) from the previous run)`,
+    );
+    markdown += `\n## Failed sources\n\n${rows.join("\n")}\n`;
+  }
+
+  if (review.length > 0) {
+    const rows = review.map((entry) => {
+      const status = entry.listedAs
+        ? `kept in ${categoryTitle(entry.listedAs)}`
+        : "not listed yet";
+      return `- ${link(entry)}: ${entry.reason}; suggested ${entry.suggested} (${status})`;
+    });
+    markdown += `\n## Needs review\n\nSettle these with a category in \`data/overrides.yml\`.\n\n${rows.join("\n")}\n`;
+  }
+
+  if (readme.length > 0) {
+    const rows = readme.map(
+      (problem) =>
+        `- Line ${problem.line}: ${problem.message} (${problem.rule})`,
+    );
+    markdown += `\n## README problems\n\n${rows.join("\n")}\n`;
+  }
+  return markdown;
+}
@@ -0,0 +1,73 @@
+// Which Starlight (and Astro) releases a package supports, derived from the
+// ranges it declares in peerDependencies/dependencies.
+
+import semver from "semver";
+
+/**
+ * Release line of a version: the part a caret range keeps fixed, i.e. the
+ * major version, or major.minor while still on 0.x ("5", "0.36")
+ */
+export function releaseLine(version) {
+  const { major, minor } = semver.parse(version);
+  return major > 0 ? `${major}` : `0.${minor}`;
+}
+
+/**
+ * Release lines of the stable `versions`, oldest first
+ */
+export function releaseLines(versions) {
+  const stable = versions
+    .filter((v) => semver.valid(v) && !semver.prerelease(v))
+    .sort(semver.compare);
+  return [...new Set(stable.map(releaseLine))];
+}
+
+/**
+ * Release lines with at least one stable version satisfying `range`
+ */
+export function supportedLines(range, versions) {
+  if (!semver.validRange(range)) return [];
+  return releaseLines(versions.filter((v) => semver.satisfies(v, range)));
+}
+
+/**
+ * Compact label for `lines` out of all known `allLines`: consecutive lines
+ * are joined ("0.30–0.32") and a run reaching the latest line is open ("5+")
+ */
+export function formatLines(lines, allLines) {
+  const runs = [];
+  for (const line of lines) {
+    const last = runs.at(-1);
+    const index = allLines.indexOf(line);
+    if (last && allLines.indexOf(last.at(-1)) === index - 1) last.push(line);
+    else runs.push([line]);
+  }
+  return runs
+    .map((run) => {
+      if (run.at(-1) === allLines.at(-1) && run.length > 1) return `${run[0]}+`;
+      return run.length > 1 ? `${run[0]}–${run.at(-1)}` : run[0];
+    })
+    .join(", ");
+}
+
+/**
+ * Compatibility of a declared dependency `range` with the `releases` of that
+ * dependency ({ latest, versions }): supported release lines, their label and
+ * whether the latest release is included. Ranges semver cannot read (dist
+ * tags, "workspace:*", "npm:" aliases) are unknown: no lines and a null
+ * `latest`.
+ */
+export function compatibility(range, releases) {
+  if (semver.validRange(range) === null) {
+    return { range, lines: [], label: "", latest: null };
+  }
+  const lines = supportedLines(range, releases.versions);
+  return {
+    range,
+    lines,
+    label: formatLines(lines, releaseLines(releases.versions)),
+    latest: semver.satisfies(releases.latest, range, {
+      includePrerelease: true,
+    }),
+  };
+}
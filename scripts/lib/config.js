@@ -0,0 +1,161 @@
+import fs from "fs/promises";
+import path from "path";
+import yaml from "js-yaml";
+import { DEFAULT_HTTP_OPTIONS } from "./http.js";
+import { sourceDefaults } from "../sources/index.js";
+import { CATEGORIES } from "./entry-store.js";
+import { validateRendering } from "./enrichment.js";
+import { DEFAULT_OUTPUTS, validateOutputs } from "./render.js";
+
+export const CONFIG_FILE = "awesome-starlight.config.yml";
+
+export const DEFAULT_CONFIG = {
+  health: {
+    // Consecutive hard failures (404, 410, other 4xx) before removal
+    hardFailures: 2,
+    // Consecutive soft failures (timeouts, 5xx, 429, 403) before removal
+    softFailures: 4,
+    // Minimum days a link must have been failing before it is removed
+    graceDays: 14,
+    // Checks remembered per URL
+    historySize: 10,
+    // Days an entry no source returns any more stays listed, unless it was
+    // dropped for a reason (dead link, fork, override...)
+    missingDays: 28,
+  },
+  compatibility: {
+    // Drop plugins, themes and tools whose declared @astrojs/starlight range
+    // excludes the current release (otherwise they are listed as
+    // unmaintained, see maintenance.starlightPeer)
+    latestOnly: false,
+  },
+  maintenance: {
+    // Entries whose repository is archived are unmaintained
+    archived: true,
+    // Days without a commit (repository pushedAt) before an entry is
+    // unmaintained; null disables the rule
+    maxInactiveDays: 730,
+    // Days without an npm release before an entry is unmaintained
+    maxPublishAgeDays: 730,
+    // Entries whose @astrojs/starlight peer range excludes the current
+    // release are unmaintained
+    starlightPeer: true,
+  },
+  categorization: {
+    // Items per LLM request
+    batchSize: 25,
+    // Extra requests when a reply is not valid JSON matching the schema
+    retries: 2,
+    // Answers below this confidence (0-1) are held for review
+    minConfidence: 0.7,
+    // Also hold answers that disagree with the keyword rules for review (the
+    // rules are rough, so this holds back many correct answers)
+    reviewDisagreements: false,
+  },
+  descriptions: {
+    // Read the meta description of the pages of entries without a usable
+    // description (after the GitHub repository description)
+    fetchPages: true,
+    // Ask the LLM (see `llm`) to summarize the page when it has no meta
+    // description either
+    llm: false,
+    // Longer descriptions are cut after a sentence or a word
+    maxLength: 200,
+  },
+  llm: {
+    // Backend used to categorize discovered entries: github-models,
+    // anthropic, openai-compatible or mock (see scripts/lib/llm.js)
+    provider: "github-models",
+    // Model name; null uses the provider's default
+    model: null,
+    // API root of openai-compatible servers (or a proxy for the others)
+    baseUrl: null,
+    // Environment variable holding the API key; null uses the provider's
+    // default (GITHUB_TOKEN, ANTHROPIC_API_KEY, none for local servers)
+    apiKeyEnv: null,
+    temperature: 0.1,
+    maxTokens: 4000,
+  },
+  // Metadata shown after the entries of each README section (see
+  // scripts/lib/enrichment.js): any of stars, updated, downloads and
+  // license, as plain text or shields.io badges
+  rendering: Object.fromEntries(
+    CATEGORIES.map((category) => [category, { fields: [], style: "text" }]),
+  ),
+  readme: {
+    // Rebuild the list under "## Contents" from the README's headings
+    tableOfContents: true,
+    // Headings left out of the table of contents
+    tocExclude: ["License"],
+    // Check the links of the hand-written sections like list entries
+    checkManualLinks: true,
+    // Fail the run when the README has problems instead of reporting them
+    strict: false,
+  },
+  // Files rendered from the entries, by name (see scripts/lib/render.js):
+  // the README and any Markdown, MDX, RSS, Atom or OPML target added here
+  outputs: DEFAULT_OUTPUTS,
+  site: {
+    // Write the static site and JSON API next to the README
+    enabled: true,
+    // Output directory, relative to the repository root
+    outDir: "site",
+    title: "Awesome Starlight",
+  },
+  http: DEFAULT_HTTP_OPTIONS,
+};
+
+// Maps whose keys are chosen by the user (e.g. host names)
+const OPEN_MAPS = new Set(["http.hostLimits", "outputs"]);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+function merge(defaults, overrides, keyPath = []) {
+  const result = { ...defaults };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const name = [...keyPath, key].join(".");
+    if (!(key in defaults)) {
+      throw new Error(`Unknown option "${name}" in ${CONFIG_FILE}`);
+    }
+    if (isPlainObject(defaults[key])) {
+      if (!isPlainObject(value)) {
+        throw new Error(`Option "${name}" in ${CONFIG_FILE} must be a map`);
+      }
+      result[key] = OPEN_MAPS.has(name)
+        ? { ...defaults[key], ...value }
+        : merge(defaults[key], value, [...keyPath, key]);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Reads awesome-starlight.config.yml from `rootDir`, filling in defaults for
+ * everything it does not set
+ */
+export async function loadConfig(rootDir) {
+  // Source adapters by name, see scripts/sources/index.js
+  const defaults = { sources: sourceDefaults(), ...DEFAULT_CONFIG };
+  let data;
+  try {
+    data = yaml.load(
+      await fs.readFile(path.join(rootDir, CONFIG_FILE), "utf-8"),
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") return merge(defaults, {});
+    throw new Error(`Failed to load ${CONFIG_FILE}: ${error.message}`);
+  }
+
+  const config = merge(defaults, data);
+  const errors = [
+    ...validateRendering(config.rendering),
+    ...validateOutputs(config.outputs),
+  ];
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${CONFIG_FILE}: ${errors.join("; ")}`);
+  }
+  return config;
+}
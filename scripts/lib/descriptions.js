@@ -0,0 +1,120 @@
+// Descriptions of list entries: telling placeholders and copy-pasted upstream
+// text from real descriptions, tidying them up for the README, and asking
+// the LLM to summarize a page when nothing better is known.
+
+// Descriptions copied from Starlight, Astro or their templates, compared
+// after normalize()
+export const BOILERPLATE_DESCRIPTIONS = [
+  "Build beautiful, high-performance documentation websites with Astro",
+  "The web framework for content-driven websites",
+  "Astro is a modern site builder with web best practices, performance, and DX front-of-mind.",
+  "Docs with Starlight",
+  "My Starlight docs",
+  "Starlight starter template",
+  "A Starlight plugin",
+  "Astro Starlight plugin",
+  "Description",
+  "TODO",
+  "TBD",
+];
+
+// Lowercase words only, for comparisons
+const normalize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+const BOILERPLATE = new Set(BOILERPLATE_DESCRIPTIONS.map(normalize));
+
+/**
+ * Whether `description` says nothing about `item`: empty, a known
+ * placeholder or copied upstream text, or just the item's name again
+ */
+export function isBoilerplate(description, item = {}) {
+  const text = normalize(description || "");
+  if (!text) return true;
+  if (BOILERPLATE.has(text)) return true;
+  return [item.title, item.package]
+    .filter(Boolean)
+    .some((name) => normalize(name) === text);
+}
+
+// Sentence end within a description (not the dot of "v1.2" or "e.g.")
+const SENTENCE_END = /[.!?](?=\s+\p{Lu})/gu;
+
+/**
+ * `text` as one README-ready line: whitespace collapsed, wrapping quotes
+ * dropped, capitalized, ending with punctuation and at most `maxLength`
+ * characters (cut after a sentence, or at a word with an ellipsis)
+ */
+export function cleanDescription(text, maxLength = 200) {
+  let description = (text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^(["'“‘])(.*)(["'”’])$/, "$2")
+    .trim();
+  if (!description) return "";
+
+  // "a plugin" → "A plugin", but leave "starlight-blog adds..." alone
+  description = description.replace(
+    /^\p{Ll}+(?=[\s,:;]|$)/u,
+    (word) => word[0].toUpperCase() + word.slice(1),
+  );
+
+  if (description.length > maxLength) {
+    const ends = [...description.matchAll(SENTENCE_END)]
+      .map((match) => match.index + 1)
+      .filter((end) => end <= maxLength);
+    if (ends.length > 0) {
+      description = description.slice(0, ends.at(-1));
+    } else {
+      // Room for the ellipsis: a space ending the cut, or its last character
+      const cut = description.slice(0, maxLength);
+      const space = cut.lastIndexOf(" ");
+      const words = space > 0 ? cut.slice(0, space) : cut.slice(0, -1);
+      description = `${words.replace(/[\s,;:–—-]+$/, "")}…`;
+    }
+  }
+
+  return /[.!?…]$/.test(description) ? description : `${description}.`;
+}
+
+/**
+ * Readable text of an HTML page, for the LLM to summarize: without scripts,
+ * styles, navigation and tags, cut to `maxLength` characters
+ */
+export function pageText(html, maxLength = 2000) {
+  return html
+    .replace(
+      /<(script|style|noscript|svg|nav|header|footer)\b[\s\S]*?<\/\1>/gi,
+      " ",
+    )
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+}
+
+export const SUMMARY_SYSTEM_PROMPT =
+  "You write one-sentence descriptions for an awesome list of Starlight documentation resources.";
+
+// Reply of the model when the page does not say what the project is
+export const UNKNOWN_SUMMARY = "UNKNOWN";
+
+/**
+ * Prompt asking for a summary of `item` listed under `category`, from the
+ * `text` of its page
+ */
+export function buildSummaryPrompt(item, category, text) {
+  return `Describe this ${category === "showcases" ? "documentation site" : "project"} in ONE short sentence (at most 20 words) for a list entry.
+Say what it is or does; do not start with its name, do not use marketing words.
+If the text does not tell what it is, reply with ${UNKNOWN_SUMMARY}.
+
+Name: ${item.title}
+URL: ${item.url}
+Page text:
+${text}`;
+}
@@ -0,0 +1,109 @@
+// Metadata shown after a README entry, chosen per section under `rendering`
+// in awesome-starlight.config.yml. Everything comes from what the run
+// already collected (GitHub metadata, npm releases and download counts), so
+// rendering makes no requests.
+
+export const ENRICHMENT_FIELDS = ["stars", "updated", "downloads", "license"];
+
+export const ENRICHMENT_STYLES = ["text", "badges"];
+
+/**
+ * Problems of the `rendering` config section, empty when it is valid
+ */
+export function validateRendering(rendering) {
+  const errors = [];
+  for (const [section, { fields, style }] of Object.entries(rendering)) {
+    if (!Array.isArray(fields)) {
+      errors.push(`rendering.${section}.fields must be a list`);
+    } else {
+      for (const field of fields.filter(
+        (field) => !ENRICHMENT_FIELDS.includes(field),
+      )) {
+        errors.push(
+          `rendering.${section}.fields: unknown field "${field}" (expected one of: ${ENRICHMENT_FIELDS.join(", ")})`,
+        );
+      }
+    }
+    if (!ENRICHMENT_STYLES.includes(style)) {
+      errors.push(
+        `rendering.${section}.style must be one of: ${ENRICHMENT_STYLES.join(", ")}`,
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * 950 → "950", 1234 → "1.2k", 2500000 → "2.5M"
+ */
+export function compactNumber(value) {
+  for (const [size, suffix] of [
+    [1e6, "M"],
+    [1e3, "k"],
+  ]) {
+    if (value >= size) {
+      return `${Number((value / size).toFixed(value >= size * 10 ? 0 : 1))}${suffix}`;
+    }
+  }
+  return String(value);
+}
+
+/**
+ * Values of the enrichment fields known for `entry`, as
+ * [{ field, label, value, text }] in field order. `updated` is the latest
+ * npm release, or the latest commit for entries not published to npm.
+ */
+export function entryFacts(entry, fields) {
+  const { github, npm } = entry;
+  const facts = [];
+  for (const field of fields) {
+    if (field === "stars" && typeof github?.stars === "number") {
+      const value = compactNumber(github.stars);
+      facts.push({ field, label: "stars", value, text: `★ ${value}` });
+    } else if (
+      field === "downloads" &&
+      typeof npm?.weeklyDownloads === "number"
+    ) {
+      const value = compactNumber(npm.weeklyDownloads);
+      facts.push({
+        field,
+        label: "downloads",
+        value: `${value}/week`,
+        text: `${value} downloads/week`,
+      });
+    } else if (field === "updated" && (npm?.publishedAt || github?.pushedAt)) {
+      const released = Boolean(npm?.publishedAt);
+      const value = (npm?.publishedAt || github.pushedAt).slice(0, 10);
+      const label = released ? "released" : "updated";
+      facts.push({ field, label, value, text: `${label} ${value}` });
+    } else if (
+      field === "license" &&
+      github?.license &&
+      github.license !== "NOASSERTION"
+    ) {
+      const value = github.license;
+      facts.push({ field, label: "license", value, text: value });
+    }
+  }
+  return facts;
+}
+
+// Static shields.io badges escape "-" and "_" by doubling them
+const badgePart = (text) =>
+  encodeURIComponent(text.replace(/-/g, "--").replace(/_/g, "__"));
+
+function badge({ label, value }) {
+  return `![${label}: ${value}](https://img.shields.io/badge/${badgePart(label)}-${badgePart(value)}-blue)`;
+}
+
+/**
+ * Suffix of `entry`'s README line with the `fields` chosen for its section,
+ * in `style` "text" (" — ★ 1.2k · MIT") or "badges" (shields.io images);
+ * empty when none is known
+ */
+export function formatEnrichment(entry, { fields = [], style = "text" } = {}) {
+  const facts = entryFacts(entry, fields);
+  if (facts.length === 0) return "";
+  if (style === "badges") return ` ${facts.map(badge).join(" ")}`;
+  return ` — ${facts.map((fact) => fact.text).join(" · ")}`;
+}
@@ -0,0 +1,175 @@
+import fs from "fs/promises";
+import path from "path";
+import { canonicalizeUrl } from "./identity.js";
+
+export const STORE_VERSION = 1;
+
+// Order in which categories are stored and rendered
+export const CATEGORIES = [
+  "plugins",
+  "themes",
+  "tools",
+  "showcases",
+  "videos",
+  "articles",
+];
+
+export const CATEGORY_TITLES = {
+  plugins: "Plugins & Integrations",
+  themes: "Themes",
+  tools: "Tools",
+  showcases: "Showcases",
+  videos: "Videos",
+  articles: "Articles & Case Studies",
+};
+
+/**
+ * Identity of an entry across runs: its canonical URL
+ */
+export function entryId(url) {
+  return canonicalizeUrl(url);
+}
+
+function toDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// What the entries say, without the validation dates every run refreshes
+function contents(entries) {
+  return JSON.stringify(
+    [...entries.values()].map(({ lastValidated, ...entry }) => entry),
+  );
+}
+
+/**
+ * Machine-readable record of every list entry, persisted to data/entries.json.
+ * Each run is merged into the existing store so history (first-seen and
+ * last-validated dates) survives between runs.
+ */
+export class EntryStore {
+  constructor(filePath, data = {}) {
+    this.filePath = filePath;
+    this.version = data.version ?? STORE_VERSION;
+    this.updatedAt = data.updatedAt ?? null;
+    // Re-keyed on load so entries survive changes to the identity rules
+    this.entries = new Map(
+      (data.entries || []).map((e) => [
+        entryId(e.url),
+        { ...e, id: entryId(e.url) },
+      ]),
+    );
+    // Day of the first run: entries first seen then were already listed, not
+    // added (stores written before it was recorded use their earliest entry)
+    this.createdAt =
+      data.createdAt ??
+      ([...this.entries.values()].map((entry) => entry.firstSeen).sort()[0] ||
+        null);
+  }
+
+  static async load(filePath) {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+      if (data.version > STORE_VERSION) {
+        throw new Error(
+          `${filePath} has version ${data.version}, this updater only understands up to ${STORE_VERSION}`,
+        );
+      }
+      return new EntryStore(filePath, data);
+    } catch (error) {
+      if (error.code === "ENOENT") return new EntryStore(filePath);
+      throw error;
+    }
+  }
+
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  /**
+   * Replaces the store contents with the items collected in this run while
+   * keeping each entry's firstSeen (and lastValidated when the item was not
+   * validated this time). Entries that were not collected are dropped; the
+   * updater passes the ones it keeps listed (see keepMissingEntries()) with
+   * the day they went missing. `updatedAt` only moves when more than
+   * validation dates changed, so files generated from it stay as they are.
+   */
+  merge(data, now = new Date()) {
+    const today = toDate(now);
+    const merged = new Map();
+
+    for (const category of CATEGORIES) {
+      for (const item of data[category] || []) {
+        const id = entryId(item.url);
+        if (!id || !item.title) continue;
+        if (merged.has(id)) continue; // first occurrence wins
+
+        const previous = this.entries.get(id);
+        merged.set(id, {
+          id,
+          title: item.title,
+          url: item.url,
+          description: item.description || "",
+          ...(item.descriptionSource && {
+            descriptionSource: item.descriptionSource,
+          }),
+          category,
+          ...(item.package && { package: item.package }),
+          ...(item.repository && { repository: item.repository }),
+          ...(item.section && { section: item.section }),
+          ...(category === "plugins" &&
+            item.subcategory && { subcategory: item.subcategory }),
+          ...(item.github && { github: item.github }),
+          ...(item.npm && { npm: item.npm }),
+          ...(item.compatibility && { compatibility: item.compatibility }),
+          ...(item.unmaintained?.length && {
+            unmaintained: item.unmaintained,
+          }),
+          ...(item.missingSince && { missingSince: item.missingSince }),
+          source: item.source || previous?.source || "unknown",
+          firstSeen: previous?.firstSeen || today,
+          lastValidated: item.validated
+            ? today
+            : previous?.lastValidated || null,
+        });
+      }
+    }
+
+    if (
+      this.updatedAt === null ||
+      contents(merged) !== contents(this.entries)
+    ) {
+      this.updatedAt = now.toISOString();
+    }
+    this.entries = merged;
+    this.createdAt ??= today;
+  }
+
+  /**
+   * Entries grouped by category, in store order
+   */
+  byCategory() {
+    const grouped = Object.fromEntries(CATEGORIES.map((c) => [c, []]));
+    for (const entry of this.entries.values()) {
+      grouped[entry.category]?.push(entry);
+    }
+    return grouped;
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      entries: Array.from(this.entries.values()),
+    };
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(
+      this.filePath,
+      JSON.stringify(this.toJSON(), null, 2) + "\n",
+      "utf-8",
+    );
+  }
+}
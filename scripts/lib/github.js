@@ -0,0 +1,158 @@
+// Batched repository metadata from the GitHub GraphQL API. One query resolves
+// up to GRAPHQL_BATCH_SIZE repositories instead of one REST call each.
+
+import { repoSlug } from "./identity.js";
+
+const GRAPHQL_URL = "https://api.github.com/graphql";
+export const GRAPHQL_BATCH_SIZE = 50;
+
+const REPOSITORY_FIELDS = `
+  nameWithOwner
+  url
+  description
+  homepageUrl
+  isFork
+  isArchived
+  isDisabled
+  stargazerCount
+  pushedAt
+  licenseInfo { spdxId }
+  repositoryTopics(first: 20) { nodes { topic { name } } }
+`;
+
+/**
+ * Builds one aliased query (`r0`, `r1`, ...) for `slugs` ("owner/repo").
+ * Owners and names are passed as variables so no escaping is needed.
+ */
+export function buildRepositoryQuery(slugs) {
+  const variables = {};
+  const params = [];
+  const fields = [];
+
+  slugs.forEach((slug, i) => {
+    const [owner, name] = slug.split("/");
+    variables[`o${i}`] = owner;
+    variables[`n${i}`] = name;
+    params.push(`$o${i}: String!`, `$n${i}: String!`);
+    fields.push(`r${i}: repository(owner: $o${i}, name: $n${i}) { ...repo }`);
+  });
+
+  const query = `query(${params.join(", ")}) {
+${fields.join("\n")}
+}
+fragment repo on Repository {${REPOSITORY_FIELDS}}`;
+
+  return { query, variables };
+}
+
+/**
+ * `owner/repo` of the repository behind a GitHub (or GitHub Pages) URL,
+ * without any monorepo subdirectory
+ */
+export function repositoryOf(url) {
+  return repoSlug(url).split("/").slice(0, 2).join("/");
+}
+
+/**
+ * The subset of repository data kept on list entries
+ */
+export function toRepositoryMetadata(node) {
+  return {
+    repo: node.nameWithOwner,
+    url: node.url,
+    description: node.description || "",
+    homepage: node.homepageUrl || "",
+    fork: node.isFork,
+    archived: node.isArchived,
+    disabled: node.isDisabled,
+    stars: node.stargazerCount,
+    pushedAt: node.pushedAt,
+    license: node.licenseInfo?.spdxId || null,
+    topics: (node.repositoryTopics?.nodes || []).map((n) => n.topic.name),
+  };
+}
+
+export class GitHubClient {
+  constructor({ http, token, allowAnonymous = false }) {
+    this.http = http;
+    this.token = token;
+    // Replayed fixtures do not need credentials
+    this.allowAnonymous = allowAnonymous;
+    // owner/repo (lowercase) → metadata, or null when it does not exist
+    this.repositories = new Map();
+  }
+
+  get available() {
+    return Boolean(this.token) || this.allowAnonymous;
+  }
+
+  headers() {
+    const headers = {
+      "User-Agent": "Awesome-Starlight-Updater",
+      Accept: "application/vnd.github.v3+json",
+    };
+    if (this.token) headers["Authorization"] = `token ${this.token}`;
+    return headers;
+  }
+
+  /**
+   * Cached metadata for `slug`: an object, null (repository does not exist)
+   * or undefined (not resolved)
+   */
+  get(slug) {
+    return this.repositories.get(slug.toLowerCase());
+  }
+
+  /**
+   * Resolves every slug that is not cached yet, in batches. Batches that
+   * fail are skipped so callers can fall back to REST checks.
+   */
+  async prefetch(slugs) {
+    if (!this.available) return;
+
+    const pending = [
+      ...new Set(slugs.map((s) => s.toLowerCase()).filter(Boolean)),
+    ].filter((slug) => !this.repositories.has(slug));
+
+    const batches = [];
+    for (let i = 0; i < pending.length; i += GRAPHQL_BATCH_SIZE) {
+      batches.push(pending.slice(i, i + GRAPHQL_BATCH_SIZE));
+    }
+
+    await Promise.all(
+      batches.map(async (batch) => {
+        try {
+          await this.fetchBatch(batch);
+        } catch (error) {
+          console.warn(`   ⚠️ GitHub GraphQL batch failed: ${error.message}`);
+        }
+      }),
+    );
+  }
+
+  async fetchBatch(slugs) {
+    const response = await this.http.fetch(GRAPHQL_URL, {
+      method: "POST",
+      headers: { ...this.headers(), "Content-Type": "application/json" },
+      body: JSON.stringify(buildRepositoryQuery(slugs)),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    const { data, errors = [] } = await response.json();
+    const notFound = new Set(
+      errors.filter((e) => e.type === "NOT_FOUND").map((e) => e.path?.[0]),
+    );
+    const otherErrors = errors.filter((e) => e.type !== "NOT_FOUND");
+    if (!data || otherErrors.length > 0) {
+      throw new Error(otherErrors[0]?.message || "empty response");
+    }
+
+    slugs.forEach((slug, i) => {
+      const node = data[`r${i}`];
+      if (node) this.repositories.set(slug, toRepositoryMetadata(node));
+      else if (notFound.has(`r${i}`)) this.repositories.set(slug, null);
+    });
+  }
+}
@@ -0,0 +1,361 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Response bodies are not allowed for these statuses
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+// Only headers the updater reads are recorded (never cookies)
+const RECORDED_HEADERS =
+  /^(content-type|location|link|retry-after|x-ratelimit-.*)$/;
+
+export const DEFAULT_HTTP_OPTIONS = {
+  // Requests in flight across all hosts
+  concurrency: 8,
+  // Requests in flight per host, unless listed in hostLimits
+  perHost: 4,
+  hostLimits: {
+    "api.github.com": 2,
+  },
+  // Retries for network errors, 429 and 5xx responses
+  retries: 3,
+  // First retry delay, doubled on every attempt
+  backoffMs: 500,
+  // Longest rate-limit pause worth waiting for; beyond it requests fail
+  maxWaitSeconds: 60,
+};
+
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class RateLimitError extends Error {
+  constructor(host, resumeAt) {
+    super(`Rate limited by ${host} until ${new Date(resumeAt).toISOString()}`);
+    this.name = "RateLimitError";
+    this.host = host;
+    this.resumeAt = resumeAt;
+  }
+}
+
+export class FixtureMissingError extends Error {
+  constructor(key, file) {
+    super(`No recorded fixture for ${key} (expected ${file})`);
+    this.name = "FixtureMissingError";
+    this.key = key;
+  }
+}
+
+// Request headers that change the response, so they are part of the fixture
+// key (the npm registry serves an abbreviated packument for another Accept)
+const KEYED_HEADERS = ["accept"];
+
+function keyedHeaders(headers) {
+  const sent = new Headers(headers);
+  return KEYED_HEADERS.filter((name) => sent.has(name)).map((name) => [
+    name,
+    sent.get(name),
+  ]);
+}
+
+/**
+ * Identity of a request inside a fixture directory: method, URL, the
+ * KEYED_HEADERS sent and a digest of the body. Other headers (and with them
+ * credentials) are deliberately not part of it.
+ */
+export function fixtureKey(url, { method = "GET", headers, body } = {}) {
+  let key = `${method.toUpperCase()} ${url}`;
+  for (const [name, value] of keyedHeaders(headers)) {
+    key += ` ${name}=${value.replace(/\s+/g, "")}`;
+  }
+  if (!body) return key;
+  const digest = crypto.createHash("sha1").update(body).digest("hex");
+  return `${key} ${digest.slice(0, 12)}`;
+}
+
+function fixtureFileName(key) {
+  const [method, url] = key.split(" ");
+  const slug = url
+    .replace(/^https?:\/\//, "")
+    .replace(/[^a-zA-Z0-9.-]+/g, "_")
+    .slice(0, 80);
+  const digest = crypto.createHash("sha1").update(key).digest("hex");
+  return `${method.toLowerCase()}-${slug}-${digest.slice(0, 8)}.json`;
+}
+
+function toResponse(fixture) {
+  const { status, statusText, headers, body, url, redirected } =
+    fixture.response;
+  const response = new Response(NULL_BODY_STATUSES.has(status) ? null : body, {
+    status,
+    statusText,
+    headers,
+  });
+  // `url` and `redirected` are read-only on Response
+  Object.defineProperty(response, "url", { value: url });
+  Object.defineProperty(response, "redirected", { value: redirected });
+  return response;
+}
+
+/**
+ * When the server asks us to slow down: `Retry-After` (seconds or a date), or
+ * GitHub's `X-RateLimit-Remaining: 0` with `X-RateLimit-Reset` (epoch seconds).
+ * Returns a timestamp or null.
+ */
+export function rateLimitResumeAt(response, now = Date.now()) {
+  const retryAfter = response.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return now + seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return date;
+  }
+
+  if (response.headers.get("x-ratelimit-remaining") === "0") {
+    const reset = Number(response.headers.get("x-ratelimit-reset"));
+    if (Number.isFinite(reset) && reset > 0) return reset * 1000;
+  }
+  return null;
+}
+
+/**
+ * Bounded concurrency overall and per host. Hosts can be paused when they
+ * report a rate limit; queued requests for them wait for the pause to end.
+ */
+class RequestScheduler {
+  constructor(options) {
+    this.options = options;
+    this.active = 0;
+    this.activeByHost = new Map();
+    this.queue = [];
+  }
+
+  limitFor(host) {
+    return this.options.hostLimits[host] ?? this.options.perHost;
+  }
+
+  canStart(host) {
+    return (
+      this.active < this.options.concurrency &&
+      (this.activeByHost.get(host) || 0) < this.limitFor(host)
+    );
+  }
+
+  acquire(host) {
+    return new Promise((resolve) => {
+      this.queue.push({ host, resolve });
+      this.pump();
+    });
+  }
+
+  release(host) {
+    this.active--;
+    this.activeByHost.set(host, this.activeByHost.get(host) - 1);
+    this.pump();
+  }
+
+  pump() {
+    for (let i = 0; i < this.queue.length;) {
+      const { host, resolve } = this.queue[i];
+      if (!this.canStart(host)) {
+        i++;
+        continue;
+      }
+      this.queue.splice(i, 1);
+      this.active++;
+      this.activeByHost.set(host, (this.activeByHost.get(host) || 0) + 1);
+      resolve();
+    }
+  }
+
+  async run(host, task) {
+    await this.acquire(host);
+    try {
+      return await task();
+    } finally {
+      this.release(host);
+    }
+  }
+}
+
+/**
+ * Shared HTTP client for every request the updater makes. In `live` mode it
+ * schedules requests (bounded concurrency, per-host limits), retries network
+ * errors, 429 and 5xx responses with exponential backoff and honours
+ * `Retry-After` / `X-RateLimit-*` headers. It can also record every response
+ * to a fixture directory (`record`) or serve them back without touching the
+ * network (`replay`).
+ *
+ * Besides the usual fetch options, `timeout` (ms) aborts a request that takes
+ * too long once it has actually started.
+ */
+export class HttpClient {
+  constructor({
+    mode = "live",
+    fixturesDir,
+    fetch = globalThis.fetch,
+    sleep = defaultSleep,
+    ...options
+  } = {}) {
+    if (mode !== "live" && !fixturesDir) {
+      throw new Error(`HttpClient in ${mode} mode needs a fixtures directory`);
+    }
+    this.mode = mode;
+    this.fixturesDir = fixturesDir;
+    this.fetchImpl = fetch;
+    this.sleep = sleep;
+    this.missing = [];
+    this.pausedUntil = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Applies `http` options from the config file
+   */
+  configure(options = {}) {
+    this.options = {
+      ...DEFAULT_HTTP_OPTIONS,
+      ...this.options,
+      ...options,
+      hostLimits: {
+        ...DEFAULT_HTTP_OPTIONS.hostLimits,
+        ...this.options?.hostLimits,
+        ...options.hostLimits,
+      },
+    };
+    this.scheduler = new RequestScheduler(this.options);
+  }
+
+  get replaying() {
+    return this.mode === "replay";
+  }
+
+  async fetch(url, options = {}) {
+    url = String(url);
+    if (this.mode === "replay") return this.replay(url, options);
+
+    const host = new URL(url).host;
+    const response = await this.scheduler.run(host, () =>
+      this.fetchWithRetries(url, host, options),
+    );
+    if (this.mode === "record") return this.record(url, options, response);
+    return response;
+  }
+
+  async waitForHost(host) {
+    const until = this.pausedUntil.get(host);
+    if (!until) return;
+
+    const wait = until - Date.now();
+    if (wait <= 0) {
+      this.pausedUntil.delete(host);
+    } else if (wait > this.options.maxWaitSeconds * 1000) {
+      throw new RateLimitError(host, until);
+    } else {
+      await this.sleep(wait);
+    }
+  }
+
+  async fetchOnce(url, { timeout, ...options }) {
+    if (!timeout) return this.fetchImpl(url, options);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const signal = options.signal
+      ? AbortSignal.any([options.signal, controller.signal])
+      : controller.signal;
+    try {
+      const response = await this.fetchImpl(url, { ...options, signal });
+      // Read the body while the timeout still applies
+      const body = await response.arrayBuffer();
+      const copy = new Response(
+        NULL_BODY_STATUSES.has(response.status) ? null : body,
+        response,
+      );
+      Object.defineProperty(copy, "url", { value: response.url });
+      Object.defineProperty(copy, "redirected", { value: response.redirected });
+      return copy;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async fetchWithRetries(url, host, options) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForHost(host);
+
+      let response;
+      try {
+        response = await this.fetchOnce(url, options);
+      } catch (error) {
+        // Timeouts and caller aborts are final; other errors are network issues
+        if (error.name === "AbortError" || attempt >= this.options.retries) {
+          throw error;
+        }
+        await this.sleep(this.options.backoffMs * 2 ** attempt);
+        continue;
+      }
+
+      const resumeAt = rateLimitResumeAt(response);
+      const rateLimited =
+        resumeAt !== null &&
+        (response.status === 429 || response.status === 403);
+      if (resumeAt !== null) this.pausedUntil.set(host, resumeAt);
+
+      const retryable = rateLimited || RETRY_STATUSES.has(response.status);
+      if (!retryable || attempt >= this.options.retries) return response;
+
+      if (rateLimited) {
+        // Surfaces as RateLimitError from waitForHost() if the pause is long
+        continue;
+      }
+      await this.sleep(this.options.backoffMs * 2 ** attempt);
+    }
+  }
+
+  async replay(url, options) {
+    const key = fixtureKey(url, options);
+    const file = path.join(this.fixturesDir, fixtureFileName(key));
+    try {
+      return toResponse(JSON.parse(await fs.readFile(file, "utf-8")));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.missing.push(key);
+      throw new FixtureMissingError(key, path.basename(file));
+    }
+  }
+
+  async record(url, options, response) {
+    const key = fixtureKey(url, options);
+    const fixture = {
+      request: {
+        method: (options.method || "GET").toUpperCase(),
+        url,
+        ...(keyedHeaders(options.headers).length && {
+          headers: Object.fromEntries(keyedHeaders(options.headers)),
+        }),
+        ...(options.body && { body: options.body }),
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        url: response.url || url,
+        redirected: response.redirected,
+        headers: Object.fromEntries(
+          [...response.headers.entries()].filter(([name]) =>
+            RECORDED_HEADERS.test(name),
+          ),
+        ),
+        body: await response.text(),
+      },
+    };
+
+    await fs.mkdir(this.fixturesDir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.fixturesDir, fixtureFileName(key)),
+      JSON.stringify(fixture, null, 2) + "\n",
+      "utf-8",
+    );
+    return toResponse(fixture);
+  }
+}
@@ -0,0 +1,302 @@
+// Entity resolution: decides when two list items describe the same project,
+// whichever source (Starlight docs, Astro showcase, npm) they came from.
+
+import { isBoilerplate } from "./descriptions.js";
+
+const TRACKING_PARAMS = [
+  /^utm_/,
+  /^ref$/,
+  /^ref_src$/,
+  /^source$/,
+  /^fbclid$/,
+  /^gclid$/,
+];
+
+// github.com/<first segment> paths that are not repositories
+const GITHUB_RESERVED = new Set([
+  "orgs",
+  "sponsors",
+  "topics",
+  "marketplace",
+  "apps",
+  "features",
+  "settings",
+]);
+
+// Lower rank wins when merging: hand-curated beats upstream docs beats discovery
+const SOURCE_RANK = [
+  "overrides",
+  "starlight:",
+  "astro-showcase",
+  "npm",
+  "github",
+  "starlight-sites",
+];
+
+function sourceRank(source = "") {
+  const index = SOURCE_RANK.findIndex((prefix) => source.startsWith(prefix));
+  return index === -1 ? SOURCE_RANK.length : index;
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url.trim());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Path inside a GitHub repository, without the `tree/<branch>` or
+ * `blob/<branch>` prefix and README files. Monorepo packages keep their
+ * directory so they stay distinct from each other.
+ */
+function githubSubpath(rest) {
+  if (rest[0] === "tree" || rest[0] === "blob") rest = rest.slice(2);
+  if (/^readme(\.mdx?)?$/i.test(rest.at(-1) || "")) rest = rest.slice(0, -1);
+  return rest.length ? `/${rest.join("/")}` : "";
+}
+
+/**
+ * Canonical form of a URL used as identity: https, lowercase host without
+ * `www.`, no fragment or tracking parameters, no trailing slash. Paths and
+ * queries keep their case (YouTube ids, GitHub Pages paths). GitHub URLs are
+ * reduced to the repository, whose owner and name are lowercased
+ * (`/tree/main`, `.git`, `#readme` are dropped).
+ * `redirects` maps known URLs to their final location.
+ */
+export function canonicalizeUrl(url, redirects) {
+  if (!url) return "";
+  const resolved = redirects?.get(url.trim()) || url;
+  const parsed = parseUrl(resolved);
+  if (!parsed) return resolved.trim().toLowerCase().replace(/\/+$/, "");
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  let pathname = parsed.pathname.replace(/\/index\.html?$/, "");
+
+  if (host === "github.com") {
+    const [owner, repo, ...rest] = pathname.split("/").filter(Boolean);
+    if (owner && repo && !GITHUB_RESERVED.has(owner.toLowerCase())) {
+      const slug = `${owner}/${repo.replace(/\.git$/, "")}`.toLowerCase();
+      pathname = `/${slug}${githubSubpath(rest)}`;
+    }
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some((re) => re.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length
+    ? `?${new URLSearchParams(params).toString()}`
+    : "";
+
+  return `https://${host}${pathname.replace(/\/+$/, "")}${query}`;
+}
+
+/**
+ * Form of a URL shown in the list: the canonical URL (see canonicalizeUrl())
+ * with its case, host and paths kept so the link still works, i.e. without
+ * tracking parameters, and for GitHub repositories without the fragment
+ * (`#readme`), `.git` and trailing slash
+ */
+export function displayUrl(url) {
+  const parsed = url && parseUrl(url);
+  if (!parsed) return url;
+  const original = parsed.href;
+
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.some((re) => re.test(key))) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  if (parsed.hostname.toLowerCase().replace(/^www\./, "") === "github.com") {
+    parsed.hash = "";
+    parsed.pathname = parsed.pathname
+      .replace(/\/+$/, "")
+      .replace(/^(\/[^/]+\/[^/]+)\.git$/, "$1");
+  }
+  // Left as written when there is nothing to drop
+  return parsed.href === original ? url : parsed.href;
+}
+
+/**
+ * `owner/repo` for GitHub repository URLs and GitHub Pages project sites.
+ * Links into a monorepo directory keep it (`owner/repo/packages/foo`).
+ */
+export function repoSlug(url) {
+  const parsed = url && parseUrl(url);
+  if (!parsed) return "";
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  const [first, second, ...rest] = parsed.pathname.split("/").filter(Boolean);
+
+  if (host === "github.com" && first && second) {
+    if (GITHUB_RESERVED.has(first.toLowerCase())) return "";
+    const repo = second.replace(/\.git$/, "");
+    return `${first}/${repo}${githubSubpath(rest)}`.toLowerCase();
+  }
+
+  const pages = host.match(/^([^.]+)\.github\.io$/);
+  if (pages && first) return `${pages[1]}/${first}`.toLowerCase();
+
+  return "";
+}
+
+/**
+ * Theme titles and demo URLs rarely match the repository, so themes are also
+ * compared by their name stripped of generic words ("Starlight Rapide" vs
+ * "starlight-theme-rapide").
+ */
+export function themeKey(input) {
+  return (input || "")
+    .toLowerCase()
+    .replace(/https?:\/\/(www\.)?/g, "")
+    .replace(/starlight/g, "")
+    .replace(/theme/g, "")
+    .replace(/astro/g, "")
+    .replace(/docs?/g, "")
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Every key an item can be matched on
+ */
+export function identityKeys(item, category, redirects) {
+  const keys = new Set();
+  const url = canonicalizeUrl(item.url || item.homepage, redirects);
+  if (url) keys.add(`url:${url}`);
+
+  for (const candidate of [item.url, item.homepage, item.repository]) {
+    const slug = repoSlug(redirects?.get(candidate) || candidate);
+    if (slug) keys.add(`repo:${slug}`);
+  }
+
+  if (item.package) keys.add(`package:${item.package}`);
+
+  if (category === "themes") {
+    const title = themeKey(item.title);
+    if (title) keys.add(`theme:${title}`);
+    const slug = repoSlug(item.repository || item.url);
+    const slugKey = themeKey(slug.split("/").at(-1));
+    if (slugKey) keys.add(`theme:${slugKey}`);
+  }
+
+  return [...keys];
+}
+
+function preferUrl(a, b) {
+  // A project's own site reads better than its repository
+  const isRepo = (u) => Boolean(repoSlug(u)) && u.includes("github.com");
+  if (isRepo(a) && !isRepo(b)) return b;
+  return a;
+}
+
+/**
+ * Best description of the `ranked` members: one that says something about
+ * the project (not boilerplate), then the longest, then the best-ranked
+ * source's
+ */
+function bestDescription(ranked) {
+  const candidates = ranked
+    .map((m, rank) => ({ text: m.item.description?.trim() || "", rank, m }))
+    .filter(({ text }) => text);
+  candidates.sort(
+    (a, b) =>
+      isBoilerplate(a.text, a.m.item) - isBoilerplate(b.text, b.m.item) ||
+      b.text.length - a.text.length ||
+      a.rank - b.rank,
+  );
+  return candidates[0]?.m.item.description || "";
+}
+
+/**
+ * Combines items describing the same project. The best-ranked source wins the
+ * title and category; the URL falls back to other members when that is an
+ * improvement and is shown in its display form, and the description is the
+ * best of all members'.
+ */
+function mergeGroup(members) {
+  const ranked = [...members].sort(
+    (a, b) => sourceRank(a.item.source) - sourceRank(b.item.source),
+  );
+  const [best] = ranked;
+  const merged = { ...best.item };
+
+  // Only sources of equal rank can replace the URL; upstream docs links stay
+  const peers = ranked.filter(
+    (m) => sourceRank(m.item.source) === sourceRank(best.item.source),
+  );
+  for (const peer of peers) merged.url = preferUrl(merged.url, peer.item.url);
+  merged.url = displayUrl(merged.url);
+
+  merged.description = bestDescription(ranked);
+  merged.package ||= ranked.map((m) => m.item.package).find(Boolean);
+  merged.repository ||= ranked
+    .map((m) => m.item.repository || (repoSlug(m.item.url) && m.item.url))
+    .find(Boolean);
+  merged.validated = ranked.some((m) => m.item.validated);
+  if (ranked.length > 1) {
+    merged.mergedFrom = ranked.slice(1).map((m) => m.item.url);
+  }
+  if (!merged.package) delete merged.package;
+  if (!merged.repository) delete merged.repository;
+
+  return { category: best.category, item: merged };
+}
+
+/**
+ * Merges items that share a canonical URL, repository or npm package across
+ * all categories. Takes and returns `category → items`.
+ */
+export function resolveEntities(data, { redirects } = {}) {
+  const members = [];
+  for (const [category, items] of Object.entries(data)) {
+    for (const item of items) members.push({ category, item });
+  }
+
+  // Union-find over shared keys. Two different npm packages (monorepo
+  // siblings share a repository) or two cards of the same upstream page are
+  // never merged.
+  const parent = members.map((_, i) => i);
+  const packages = members.map(
+    (m) => new Set([m.item.package].filter(Boolean)),
+  );
+  const upstream = members.map(
+    (m) => new Set([m.item.source].filter((s) => s?.startsWith("starlight:"))),
+  );
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const conflicts = (a, b) =>
+    (packages[a].size > 0 &&
+      packages[b].size > 0 &&
+      [...packages[a]].some((p) => !packages[b].has(p))) ||
+    [...upstream[a]].some((s) => upstream[b].has(s));
+  const union = (a, b) => {
+    a = find(a);
+    b = find(b);
+    if (a === b || conflicts(a, b)) return;
+    parent[a] = b;
+    packages[a].forEach((p) => packages[b].add(p));
+    upstream[a].forEach((s) => upstream[b].add(s));
+  };
+
+  const owner = new Map();
+  members.forEach((member, i) => {
+    for (const key of identityKeys(member.item, member.category, redirects)) {
+      if (owner.has(key)) union(i, owner.get(key));
+      else owner.set(key, i);
+    }
+  });
+
+  const groups = new Map();
+  members.forEach((member, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(member);
+  });
+
+  const result = Object.fromEntries(Object.keys(data).map((c) => [c, []]));
+  for (const group of groups.values()) {
+    const { category, item } = mergeGroup(group);
+    result[category].push(item);
+  }
+  return result;
+}
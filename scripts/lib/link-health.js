@@ -0,0 +1,145 @@
+import fs from "fs/promises";
+import path from "path";
+import { entryId } from "./entry-store.js";
+
+export const HEALTH_VERSION = 1;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Records not checked for this long belong to entries that left the list
+const FORGET_AFTER_DAYS = 90;
+
+/**
+ * Kind of a link check result:
+ * - `ok`: reachable
+ * - `hard`: the resource is gone (404, 410, other client errors)
+ * - `soft`: probably temporary (timeouts, network errors, 5xx, 429, 403)
+ */
+export function classifyStatus(status) {
+  if (status >= 200 && status < 400) return "ok";
+  if (!status || status >= 500 || status === 429 || status === 403) {
+    return "soft";
+  }
+  return "hard";
+}
+
+/**
+ * Per-URL history of link checks, persisted to data/link-health.json so that
+ * a single flaky run does not remove an entry: a link is only dropped after
+ * several consecutive failures spread over a grace period.
+ */
+export class LinkHealth {
+  constructor(filePath, data = {}, options = {}) {
+    this.filePath = filePath;
+    this.options = options;
+    this.urls = new Map(Object.entries(data.urls || {}));
+  }
+
+  static async load(filePath, options) {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+      return new LinkHealth(filePath, data, options);
+    } catch (error) {
+      if (error.code === "ENOENT") return new LinkHealth(filePath, {}, options);
+      throw error;
+    }
+  }
+
+  get(url) {
+    return this.urls.get(entryId(url));
+  }
+
+  /**
+   * Adds the outcome of checking `url` on `date` to its history
+   */
+  record(url, { status, kind }, date) {
+    const id = entryId(url);
+    if (!id) return;
+    const day = date.toISOString().slice(0, 10);
+    const record = this.urls.get(id) || {
+      url,
+      consecutiveFailures: 0,
+      failingSince: null,
+      history: [],
+    };
+
+    record.url = url;
+    record.lastChecked = day;
+    record.history = [...record.history, { date: day, status, kind }].slice(
+      -this.options.historySize,
+    );
+
+    if (kind === "ok") {
+      record.lastOk = day;
+      record.consecutiveFailures = 0;
+      record.failingSince = null;
+    } else {
+      record.consecutiveFailures += 1;
+      record.failingSince ||= day;
+    }
+
+    this.urls.set(id, record);
+  }
+
+  /**
+   * Whether the failures of `url` are persistent enough to drop its entry.
+   * Hard failures need fewer consecutive checks than soft ones; both must
+   * have been failing for at least `graceDays`.
+   */
+  isRemovable(url, now) {
+    const record = this.get(url);
+    if (!record || record.consecutiveFailures === 0) return false;
+
+    const failures = record.history.slice(-record.consecutiveFailures);
+    const allHard = failures.every((check) => check.kind === "hard");
+    const threshold = allHard
+      ? this.options.hardFailures
+      : this.options.softFailures;
+    const failingDays = (now - new Date(record.failingSince)) / DAY;
+
+    return (
+      record.consecutiveFailures >= threshold &&
+      failingDays >= this.options.graceDays
+    );
+  }
+
+  /**
+   * Links whose latest check failed, worst first
+   */
+  degraded() {
+    return Array.from(this.urls.values())
+      .filter((record) => record.consecutiveFailures > 0)
+      .map((record) => ({
+        url: record.url,
+        consecutiveFailures: record.consecutiveFailures,
+        failingSince: record.failingSince,
+        lastOk: record.lastOk || null,
+        last: record.history.at(-1),
+      }))
+      .sort((a, b) => b.consecutiveFailures - a.consecutiveFailures);
+  }
+
+  prune(now) {
+    for (const [id, record] of this.urls) {
+      if ((now - new Date(record.lastChecked)) / DAY > FORGET_AFTER_DAYS) {
+        this.urls.delete(id);
+      }
+    }
+  }
+
+  toJSON() {
+    const urls = Object.fromEntries(
+      [...this.urls.entries()].sort(([a], [b]) => a.localeCompare(b)),
+    );
+    return { version: HEALTH_VERSION, urls };
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(
+      this.filePath,
+      JSON.stringify(this.toJSON(), null, 2) + "\n",
+      "utf-8",
+    );
+  }
+}
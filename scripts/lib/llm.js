@@ -0,0 +1,218 @@
+// LLM providers used for categorization and page summaries. The provider is
+// selected by the `llm` section of awesome-starlight.config.yml, so callers
+// do not care which backend answers. Every provider exposes
+//
+//   async complete({ system, prompt, schema? }) → text of the reply
+//
+// `schema` is the JSON schema the reply should follow. The OpenAI-compatible
+// providers (GitHub Models included) send it as structured output; the
+// Anthropic and mock providers ignore it, so prompts show the expected reply
+// themselves and callers validate what comes back.
+
+import Anthropic from "@anthropic-ai/sdk";
+import { keywordCategory } from "./categorization.js";
+
+// Per provider: default model, environment variable holding the API key and
+// API root
+export const LLM_PROVIDERS = {
+  "github-models": {
+    model: "gpt-4o",
+    apiKeyEnv: "GITHUB_TOKEN",
+    baseUrl: "https://models.inference.ai.azure.com",
+  },
+  anthropic: {
+    model: "claude-sonnet-4-5",
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+    baseUrl: "https://api.anthropic.com",
+  },
+  // Any server implementing POST /chat/completions (Ollama, LM Studio,
+  // llama.cpp, vLLM, OpenAI itself...)
+  "openai-compatible": {
+    model: "llama3.1",
+    apiKeyEnv: null,
+    baseUrl: "http://localhost:11434/v1",
+  },
+  mock: {
+    model: "mock",
+    apiKeyEnv: null,
+  },
+};
+
+function requireKey({ name, apiKey, apiKeyEnv, allowMissingKey }) {
+  if (apiKeyEnv && !apiKey && !allowMissingKey) {
+    throw new Error(
+      `${apiKeyEnv} is required for AI categorization (llm.provider: ${name})`,
+    );
+  }
+}
+
+/**
+ * OpenAI-style chat completions API (GitHub Models and OpenAI-compatible
+ * servers)
+ */
+export class ChatCompletionsProvider {
+  constructor({ name, http, baseUrl, model, apiKey, apiKeyEnv, ...options }) {
+    this.name = name;
+    this.http = http;
+    this.url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.apiKeyEnv = apiKeyEnv;
+    this.temperature = options.temperature;
+    this.maxTokens = options.maxTokens;
+    this.allowMissingKey = options.allowMissingKey;
+  }
+
+  async complete({ system, prompt, schema }) {
+    requireKey(this);
+
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await this.http.fetch(this.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: prompt },
+        ],
+        model: this.model,
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        ...(schema && {
+          response_format: {
+            type: "json_schema",
+            json_schema: { name: "reply", strict: true, schema },
+          },
+        }),
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(
+        `${this.name} API error (${response.status}): ${errorText}`,
+      );
+    }
+
+    const data = await response.json();
+    return data.choices[0].message.content;
+  }
+}
+
+/**
+ * Anthropic Messages API through @anthropic-ai/sdk. Requests go through the
+ * shared HTTP client, which already retries and records fixtures.
+ */
+export class AnthropicProvider {
+  constructor({ http, model, apiKey, apiKeyEnv, ...options }) {
+    this.name = "anthropic";
+    this.model = model;
+    this.apiKey = apiKey;
+    this.apiKeyEnv = apiKeyEnv;
+    this.temperature = options.temperature;
+    this.maxTokens = options.maxTokens;
+    this.allowMissingKey = options.allowMissingKey;
+    // Without a key, complete() fails like the other providers do instead of
+    // sending unauthenticated requests; replayed runs need no real key
+    this.client =
+      apiKey || options.allowMissingKey
+        ? new Anthropic({
+            apiKey: apiKey || "replay",
+            baseURL: options.baseUrl,
+            fetch: (url, init) => http.fetch(url, init),
+            maxRetries: 0,
+          })
+        : null;
+  }
+
+  async complete({ system, prompt }) {
+    requireKey(this);
+
+    const message = await this.client.messages.create({
+      model: this.model,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      system,
+      messages: [{ role: "user", content: prompt }],
+    });
+    return message.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+}
+
+/**
+ * Answers a categorization prompt ("0. title | url | description" lines)
+ * with the keyword rules, fully confident
+ */
+export function categorizeByKeywords({ prompt }) {
+  const answer = {};
+  for (const [, id, line] of prompt.matchAll(/^(\d+)\. (.*)$/gm)) {
+    const [title, , description = ""] = line.split(" | ");
+    answer[id] = {
+      category: keywordCategory({ title, description }),
+      confidence: 1,
+      rationale: "Matched by keyword rules.",
+    };
+  }
+  return JSON.stringify(answer);
+}
+
+/**
+ * Deterministic provider for tests and offline runs. `respond` builds the
+ * reply from the request; every request is kept in `requests`.
+ */
+export class MockProvider {
+  constructor({ respond = categorizeByKeywords } = {}) {
+    this.name = "mock";
+    this.model = "mock";
+    this.respond = respond;
+    this.requests = [];
+  }
+
+  async complete(request) {
+    this.requests.push(request);
+    return this.respond(request);
+  }
+}
+
+/**
+ * The provider selected by `options` (the `llm` config section). API keys
+ * are read from `env`; `allowMissingKey` lets replayed runs go without.
+ */
+export function createLlmProvider(
+  options,
+  { http, env = process.env, allowMissingKey = false },
+) {
+  const defaults = LLM_PROVIDERS[options.provider];
+  if (!defaults) {
+    throw new Error(
+      `Unknown llm.provider "${options.provider}" (expected one of: ${Object.keys(LLM_PROVIDERS).join(", ")})`,
+    );
+  }
+
+  const apiKeyEnv = options.apiKeyEnv ?? defaults.apiKeyEnv;
+  const settings = {
+    name: options.provider,
+    http,
+    model: options.model || defaults.model,
+    baseUrl: options.baseUrl || defaults.baseUrl,
+    apiKey: apiKeyEnv ? env[apiKeyEnv] : undefined,
+    apiKeyEnv,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens,
+    allowMissingKey,
+  };
+
+  switch (options.provider) {
+    case "anthropic":
+      return new AnthropicProvider(settings);
+    case "mock":
+      return new MockProvider();
+    default:
+      return new ChatCompletionsProvider(settings);
+  }
+}
@@ -0,0 +1,51 @@
+// Maintenance rules: entries whose project looks abandoned are listed in a
+// separate "Unmaintained / Archived" section instead of next to active ones.
+
+// Only code projects have repositories and releases worth judging
+export const MAINTAINED_CATEGORIES = ["plugins", "themes", "tools"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysSince = (date, now) => (now - new Date(date)) / DAY;
+const toDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Reasons why `item` counts as unmaintained under `rules` (the
+ * `maintenance` config section), empty when it passes every rule.
+ * `item.github`, `item.npm` and `item.compatibility` hold repository, npm
+ * and compatibility metadata when known; `starlightVersion` is the current
+ * @astrojs/starlight release.
+ */
+export function maintenanceIssues(item, rules, { now, starlightVersion }) {
+  const issues = [];
+  const { github, npm, compatibility } = item;
+
+  if (rules.archived && github?.archived) {
+    issues.push("repository archived");
+  }
+
+  if (
+    rules.maxInactiveDays &&
+    github?.pushedAt &&
+    daysSince(github.pushedAt, now) > rules.maxInactiveDays
+  ) {
+    issues.push(`no commits since ${toDate(github.pushedAt)}`);
+  }
+
+  if (
+    rules.maxPublishAgeDays &&
+    npm?.publishedAt &&
+    daysSince(npm.publishedAt, now) > rules.maxPublishAgeDays
+  ) {
+    issues.push(`no npm release since ${toDate(npm.publishedAt)}`);
+  }
+
+  const starlight = compatibility?.["@astrojs/starlight"];
+  if (rules.starlightPeer && starlight?.latest === false) {
+    issues.push(
+      `requires @astrojs/starlight ${starlight.range} (current ${starlightVersion})`,
+    );
+  }
+
+  return issues;
+}
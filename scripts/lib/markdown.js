@@ -0,0 +1,13 @@
+// Helpers for the generated Markdown.
+
+/**
+ * Anchor GitHub gives a heading: lowercase, punctuation dropped and spaces
+ * turned into hyphens ("Navigation & Sidebar" → "navigation--sidebar")
+ */
+export function headingAnchor(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+}
@@ -0,0 +1,337 @@
+// Minimal scanners for the JSX and JavaScript literals used in the upstream
+// Starlight docs (MDX pages and Astro components). They understand quoting,
+// escapes, nested braces and comments, so attribute order, line breaks and
+// punctuation inside values do not matter.
+
+const HTML_ENTITIES = {
+  "&quot;": '"',
+  "&apos;": "'",
+  "&#39;": "'",
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+};
+
+function decodeEntities(value) {
+  return value.replace(/&(quot|apos|#39|amp|lt|gt);/g, (e) => HTML_ENTITIES[e]);
+}
+
+const isIdentifierStart = (ch) => /[A-Za-z_$]/.test(ch);
+const isIdentifierPart = (ch) => /[\w$.-]/.test(ch);
+const isSpace = (ch) => /\s/.test(ch);
+
+const ESCAPES = {
+  n: "\n",
+  t: "\t",
+  r: "\r",
+  b: "\b",
+  f: "\f",
+  v: "\v",
+  0: "\0",
+};
+
+/**
+ * Reads a quoted string starting at `start` (which must be the quote).
+ * Returns the unescaped value and the index after the closing quote.
+ */
+function readString(source, start) {
+  const quote = source[start];
+  let value = "";
+  let i = start + 1;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === "\\") {
+      const next = source[i + 1];
+      if (next === "\n") {
+        i += 2;
+        continue;
+      }
+      value += ESCAPES[next] ?? next;
+      i += 2;
+      continue;
+    }
+    if (ch === quote) return { value, end: i + 1 };
+    value += ch;
+    i++;
+  }
+  throw new SyntaxError(`Unterminated string starting at ${start}`);
+}
+
+function skipComment(source, i) {
+  if (source.startsWith("//", i)) {
+    const end = source.indexOf("\n", i);
+    return end === -1 ? source.length : end + 1;
+  }
+  if (source.startsWith("/*", i)) {
+    const end = source.indexOf("*/", i + 2);
+    return end === -1 ? source.length : end + 2;
+  }
+  return i;
+}
+
+function skipSpaceAndComments(source, i) {
+  for (;;) {
+    while (i < source.length && isSpace(source[i])) i++;
+    const next = skipComment(source, i);
+    if (next === i) return i;
+    i = next;
+  }
+}
+
+/**
+ * Index just after the brace matching the `{` at `start`, skipping strings,
+ * template literals and comments.
+ */
+function matchBrace(source, start) {
+  let depth = 0;
+  let i = start;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'" || ch === "`") {
+      i = readString(source, i).end;
+      continue;
+    }
+    const afterComment = skipComment(source, i);
+    if (afterComment !== i) {
+      i = afterComment;
+      continue;
+    }
+    if (ch === "{") depth++;
+    if (ch === "}" && --depth === 0) return i + 1;
+    i++;
+  }
+  throw new SyntaxError(`Unbalanced braces starting at ${start}`);
+}
+
+/**
+ * Value of a JSX expression container body: string literals are unquoted,
+ * anything else is kept as source text.
+ */
+function expressionValue(expression) {
+  const trimmed = expression.trim();
+  if (/^(["'`])[\s\S]*\1$/.test(trimmed)) {
+    try {
+      const { value, end } = readString(trimmed, 0);
+      if (end === trimmed.length && !/\$\{/.test(trimmed)) return value;
+    } catch {
+      // Not a single literal, fall through
+    }
+  }
+  return { expression: trimmed };
+}
+
+/**
+ * Parses the attributes of a JSX opening tag, starting after the tag name.
+ * Returns the attributes and the index after the tag (`>` or `/>`).
+ */
+function readAttributes(source, start) {
+  const attributes = {};
+  let i = start;
+  for (;;) {
+    i = skipSpaceAndComments(source, i);
+    if (i >= source.length) throw new SyntaxError("Unterminated JSX tag");
+
+    if (source.startsWith("/>", i)) return { attributes, end: i + 2 };
+    if (source[i] === ">") return { attributes, end: i + 1 };
+
+    if (source[i] === "{") {
+      // Spread attributes ({...props}) carry nothing we can read
+      i = matchBrace(source, i);
+      continue;
+    }
+
+    const nameMatch = source.slice(i).match(/^[A-Za-z_:][\w:.-]*/);
+    if (!nameMatch) throw new SyntaxError(`Unexpected "${source[i]}" in tag`);
+    const name = nameMatch[0];
+    i += name.length;
+    i = skipSpaceAndComments(source, i);
+
+    if (source[i] !== "=") {
+      attributes[name] = true;
+      continue;
+    }
+    i = skipSpaceAndComments(source, i + 1);
+
+    if (source[i] === '"' || source[i] === "'") {
+      const { value, end } = readString(source, i);
+      attributes[name] = decodeEntities(value);
+      i = end;
+    } else if (source[i] === "{") {
+      const end = matchBrace(source, i);
+      attributes[name] = expressionValue(source.slice(i + 1, end - 1));
+      i = end;
+    } else {
+      throw new SyntaxError(`Unsupported value for attribute "${name}"`);
+    }
+  }
+}
+
+/**
+ * Blanks out MDX (`{/* ... *\/}`) and HTML comments, keeping offsets intact
+ */
+function blankComments(content) {
+  return content.replace(/\{\/\*[\s\S]*?\*\/\}|<!--[\s\S]*?-->/g, (comment) =>
+    comment.replace(/[^\n]/g, " "),
+  );
+}
+
+/**
+ * Markdown headings (`## Title`) of `content` with their depth and position,
+ * outside comments and fenced code blocks
+ */
+export function findHeadings(content) {
+  content = blankComments(content);
+  const headings = [];
+  let fenced = false;
+  let index = 0;
+  for (const line of content.split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const match = !fenced && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      headings.push({ depth: match[1].length, text: match[2], index });
+    }
+    index += line.length + 1;
+  }
+  return headings;
+}
+
+/**
+ * Finds every `<TagName ...>` element in `content` and returns its parsed
+ * attributes together with its position. Commented-out elements are ignored.
+ */
+export function findJsxElements(content, tagName) {
+  content = blankComments(content);
+  const elements = [];
+  const opening = new RegExp(`<${tagName}(?=[\\s/>])`, "g");
+  let match;
+  while ((match = opening.exec(content)) !== null) {
+    try {
+      const { attributes, end } = readAttributes(
+        content,
+        match.index + match[0].length,
+      );
+      elements.push({ attributes, index: match.index });
+      opening.lastIndex = end;
+    } catch {
+      // Malformed tag: skip it rather than abort the whole page
+    }
+  }
+  return elements;
+}
+
+/**
+ * Parses a JavaScript literal (objects, arrays, strings, numbers, booleans,
+ * null). Identifiers such as imported images become `{ identifier }`.
+ */
+export function parseJsLiteral(source) {
+  let i = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at ${i}`);
+  };
+
+  const parseValue = () => {
+    i = skipSpaceAndComments(source, i);
+    const ch = source[i];
+
+    if (ch === "[") {
+      const items = [];
+      i++;
+      for (;;) {
+        i = skipSpaceAndComments(source, i);
+        if (source[i] === "]") {
+          i++;
+          return items;
+        }
+        items.push(parseValue());
+        i = skipSpaceAndComments(source, i);
+        if (source[i] === ",") i++;
+        else if (source[i] !== "]") fail("Expected , or ]");
+      }
+    }
+
+    if (ch === "{") {
+      const object = {};
+      i++;
+      for (;;) {
+        i = skipSpaceAndComments(source, i);
+        if (source[i] === "}") {
+          i++;
+          return object;
+        }
+        let key;
+        if (source[i] === '"' || source[i] === "'") {
+          const { value, end } = readString(source, i);
+          key = value;
+          i = end;
+        } else {
+          const keyMatch = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+          if (!keyMatch) fail("Expected object key");
+          key = keyMatch[0];
+          i += key.length;
+        }
+        i = skipSpaceAndComments(source, i);
+        if (source[i] === ":") {
+          i++;
+          object[key] = parseValue();
+        } else {
+          object[key] = { identifier: key }; // shorthand property
+        }
+        i = skipSpaceAndComments(source, i);
+        if (source[i] === ",") i++;
+        else if (source[i] !== "}") fail("Expected , or }");
+      }
+    }
+
+    if (ch === '"' || ch === "'" || ch === "`") {
+      const { value, end } = readString(source, i);
+      i = end;
+      return value;
+    }
+
+    const number = source.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (number) {
+      i += number[0].length;
+      return Number(number[0]);
+    }
+
+    if (ch && isIdentifierStart(ch)) {
+      let end = i;
+      while (end < source.length && isIdentifierPart(source[end])) end++;
+      const identifier = source.slice(i, end);
+      i = end;
+      if (identifier === "true") return true;
+      if (identifier === "false") return false;
+      if (identifier === "null") return null;
+      return { identifier };
+    }
+
+    return fail(`Unexpected "${ch}"`);
+  };
+
+  const value = parseValue();
+  i = skipSpaceAndComments(source, i);
+  if (i < source.length) fail("Unexpected trailing input");
+  return value;
+}
+
+/**
+ * Literal value of a JSX attribute holding an expression (`themes={[...]}`),
+ * or undefined when it is not a plain literal.
+ */
+export function attributeLiteral(value) {
+  if (!value?.expression) return undefined;
+  try {
+    return parseJsLiteral(value.expression);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * String value of a parsed attribute, or undefined for expressions that are
+ * not string literals
+ */
+export function attributeString(value) {
+  return typeof value === "string" ? value.trim() : undefined;
+}
@@ -0,0 +1,129 @@
+// npm registry lookups beyond search: the latest release of a package, when
+// it was published, which Starlight/Astro versions it declares support for
+// and how often it is downloaded.
+
+const REGISTRY = "https://registry.npmjs.org";
+const DOWNLOADS = "https://api.npmjs.org/downloads/point/last-week";
+const ABBREVIATED = "application/vnd.npm.install-v1+json";
+
+// Peer dependencies kept on list entries
+export const TRACKED_PEERS = ["@astrojs/starlight", "astro"];
+
+const packagePath = (name) => encodeURIComponent(name).replace(/^%40/, "@");
+
+/**
+ * The subset of a packument kept on list entries: latest version, its
+ * publish date and its tracked peer dependency ranges
+ */
+export function toPackageMetadata(packument) {
+  const version = packument["dist-tags"]?.latest;
+  const manifest = packument.versions?.[version];
+  if (!manifest) return null;
+
+  const declared = {
+    ...manifest.dependencies,
+    ...manifest.peerDependencies,
+  };
+  const peers = Object.fromEntries(
+    TRACKED_PEERS.filter((name) => declared[name]).map((name) => [
+      name,
+      declared[name],
+    ]),
+  );
+
+  return {
+    version,
+    publishedAt: packument.time?.[version] || null,
+    peers,
+  };
+}
+
+export class NpmRegistry {
+  constructor({ http }) {
+    this.http = http;
+    // name → Promise of metadata (null when unpublished or unavailable)
+    this.packages = new Map();
+    // name → Promise of { latest, versions } (null when unavailable)
+    this.releaseLists = new Map();
+    // name → Promise of the downloads of the last week (null when unknown)
+    this.downloadCounts = new Map();
+  }
+
+  /**
+   * Metadata of the latest release of `name`, or null
+   */
+  metadata(name) {
+    if (!this.packages.has(name)) {
+      this.packages.set(name, this.fetchMetadata(name));
+    }
+    return this.packages.get(name);
+  }
+
+  async fetchMetadata(name) {
+    try {
+      const response = await this.http.fetch(
+        `${REGISTRY}/${packagePath(name)}`,
+      );
+      if (!response.ok) return null;
+      return toPackageMetadata(await response.json());
+    } catch (error) {
+      console.warn(`   ⚠️ npm lookup failed for ${name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Downloads of `name` over the last 7 days, or null
+   */
+  weeklyDownloads(name) {
+    if (!this.downloadCounts.has(name)) {
+      this.downloadCounts.set(name, this.fetchDownloads(name));
+    }
+    return this.downloadCounts.get(name);
+  }
+
+  async fetchDownloads(name) {
+    try {
+      const response = await this.http.fetch(
+        `${DOWNLOADS}/${packagePath(name)}`,
+      );
+      if (!response.ok) return null;
+      const { downloads } = await response.json();
+      return typeof downloads === "number" ? downloads : null;
+    } catch (error) {
+      console.warn(
+        `   ⚠️ npm downloads lookup failed for ${name}: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Published versions of `name` and its `latest` dist-tag, or null. Uses the
+   * abbreviated packument, which leaves out READMEs and publish times.
+   */
+  releases(name) {
+    if (!this.releaseLists.has(name)) {
+      this.releaseLists.set(name, this.fetchReleases(name));
+    }
+    return this.releaseLists.get(name);
+  }
+
+  async fetchReleases(name) {
+    try {
+      const response = await this.http.fetch(
+        `${REGISTRY}/${packagePath(name)}`,
+        { headers: { Accept: ABBREVIATED } },
+      );
+      if (!response.ok) return null;
+      const packument = await response.json();
+      return {
+        latest: packument["dist-tags"].latest,
+        versions: Object.keys(packument.versions || {}),
+      };
+    } catch (error) {
+      console.warn(`   ⚠️ npm lookup failed for ${name}: ${error.message}`);
+      return null;
+    }
+  }
+}
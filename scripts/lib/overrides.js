@@ -0,0 +1,174 @@
+import fs from "fs/promises";
+import yaml from "js-yaml";
+import { CATEGORIES, entryId } from "./entry-store.js";
+import { SUBCATEGORY_KEYS } from "./subcategories.js";
+
+const MATCH_KEYS = ["url", "package", "title"];
+
+function describeRule(kind, rule) {
+  const match = rule.match || rule;
+  const key = MATCH_KEYS.find((k) => match[k]);
+  return `${kind} ${key}=${match[key]}`;
+}
+
+function assertMatcher(kind, match) {
+  if (!match || !MATCH_KEYS.some((k) => match[k])) {
+    throw new Error(
+      `Invalid ${kind} override: expected one of ${MATCH_KEYS.join(", ")}`,
+    );
+  }
+}
+
+function assertCategory(kind, category) {
+  if (category && !CATEGORIES.includes(category)) {
+    throw new Error(
+      `Invalid ${kind} override: unknown category "${category}" (expected ${CATEGORIES.join(", ")})`,
+    );
+  }
+}
+
+function assertSubcategory(kind, rule) {
+  if (!rule.subcategory) return;
+  if (!SUBCATEGORY_KEYS.includes(rule.subcategory)) {
+    throw new Error(
+      `Invalid ${kind} override: unknown subcategory "${rule.subcategory}" (expected ${SUBCATEGORY_KEYS.join(", ")})`,
+    );
+  }
+}
+
+/**
+ * Hand-maintained corrections from data/overrides.yml, applied on top of the
+ * automatically collected data so fixes survive the weekly run.
+ */
+export class Overrides {
+  constructor(data = {}) {
+    this.exclude = data.exclude || [];
+    this.entries = data.entries || [];
+    this.add = data.add || [];
+
+    this.exclude.forEach((rule) => assertMatcher("exclude", rule));
+    this.entries.forEach((rule) => {
+      assertMatcher("entries", rule.match);
+      assertCategory("entries", rule.category);
+      assertSubcategory("entries", rule);
+    });
+    this.add.forEach((rule) => {
+      if (!rule.title || !rule.url || !rule.category) {
+        throw new Error(
+          `Invalid add override: title, url and category are required`,
+        );
+      }
+      assertCategory("add", rule.category);
+      assertSubcategory("add", rule);
+    });
+
+    this.used = new Set();
+    // Automated items removed by an exclude rule, as { item, rule }
+    this.excluded = [];
+  }
+
+  static async load(filePath) {
+    try {
+      return new Overrides(yaml.load(await fs.readFile(filePath, "utf-8")));
+    } catch (error) {
+      if (error.code === "ENOENT") return new Overrides();
+      throw new Error(`Failed to load ${filePath}: ${error.message}`);
+    }
+  }
+
+  matches(match, item) {
+    if (match.url && entryId(match.url) !== entryId(item.url)) return false;
+    if (match.package && match.package !== item.package) return false;
+    if (match.title && match.title !== item.title) return false;
+    return true;
+  }
+
+  /**
+   * Whether a rule decides where `item` goes (excluded, pinned by an add
+   * rule or moved to a category), making its automatic category irrelevant
+   */
+  resolvesCategory(item) {
+    return (
+      this.exclude.some((rule) => this.matches(rule, item)) ||
+      this.add.some((rule) => entryId(rule.url) === entryId(item.url)) ||
+      this.entries.some(
+        (rule) => rule.category && this.matches(rule.match, item),
+      )
+    );
+  }
+
+  /**
+   * Returns a copy of `data` (category → items) with exclusions, patches and
+   * hand-curated additions applied. Added entries are pinned: they replace any
+   * automated item with the same URL.
+   */
+  apply(data) {
+    const result = Object.fromEntries(CATEGORIES.map((c) => [c, []]));
+
+    for (const category of CATEGORIES) {
+      for (const original of data[category] || []) {
+        const item = { ...original };
+        let target = category;
+
+        const exclusion = this.exclude.find((rule) => this.matches(rule, item));
+        if (exclusion) {
+          this.used.add(exclusion);
+          this.excluded.push({ item, rule: exclusion });
+          continue;
+        }
+
+        const pin = this.add.find(
+          (rule) => entryId(rule.url) === entryId(item.url),
+        );
+        if (pin) {
+          this.used.add(pin);
+          continue;
+        }
+
+        for (const rule of this.entries) {
+          if (!this.matches(rule.match, item)) continue;
+          this.used.add(rule);
+          if (rule.title) item.title = rule.title;
+          if (rule.description !== undefined) {
+            item.description = rule.description;
+            item.descriptionSource = "override";
+          }
+          if (rule.url) item.url = rule.url;
+          if (rule.category) target = rule.category;
+          if (rule.subcategory) item.subcategory = rule.subcategory;
+        }
+
+        result[target].push(item);
+      }
+    }
+
+    for (const rule of this.add) {
+      result[rule.category].push({
+        title: rule.title,
+        url: rule.url,
+        description: rule.description || "",
+        ...(rule.description !== undefined && {
+          descriptionSource: "override",
+        }),
+        ...(rule.subcategory && { subcategory: rule.subcategory }),
+        source: "overrides",
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Exclusion and patch rules that did not match anything during apply()
+   */
+  unused() {
+    return [
+      ...this.exclude
+        .filter((rule) => !this.used.has(rule))
+        .map((rule) => describeRule("exclude", rule)),
+      ...this.entries
+        .filter((rule) => !this.used.has(rule))
+        .map((rule) => describeRule("entries", rule)),
+    ];
+  }
+}
@@ -0,0 +1,232 @@
+// Checks of the whole README once the automated sections are in place: the
+// table of contents is rebuilt from the actual headings, in-page anchors
+// must point at a heading and list items follow the awesome-list rules
+// (https://github.com/sindresorhus/awesome/blob/main/contributing.md).
+//
+// Problems are reported as { rule, line, message } with 1-based lines.
+
+import { CATEGORY_TITLES, entryId } from "./entry-store.js";
+import { headingAnchor } from "./markdown.js";
+import { findHeadings } from "./mdx.js";
+
+export const START_MARKER = "<!-- AUTOMATED_CONTENT_START -->";
+export const END_MARKER = "<!-- AUTOMATED_CONTENT_END -->";
+
+export const TOC_HEADING = "Contents";
+
+const lineAt = (markdown, index) => markdown.slice(0, index).split("\n").length;
+
+// Heading text as GitHub renders it: links and images reduced to their text
+const headingText = (text) =>
+  text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .trim();
+
+/**
+ * Headings of `markdown` with the anchor GitHub gives them (repeated
+ * anchors get "-1", "-2"... appended), as [{ depth, text, anchor, line }]
+ */
+export function headingAnchors(markdown) {
+  const seen = new Map();
+  return findHeadings(markdown).map(({ depth, text, index }) => {
+    const plain = headingText(text);
+    const base = headingAnchor(plain);
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return {
+      depth,
+      text: plain,
+      anchor: count ? `${base}-${count}` : base,
+      line: lineAt(markdown, index),
+    };
+  });
+}
+
+/**
+ * `markdown` with the list under its "## Contents" heading rebuilt from the
+ * `##` headings that follow, except those in `exclude`. Anything between
+ * the Contents heading and the next heading is replaced. Unchanged when
+ * there is no Contents heading.
+ */
+export function rebuildToc(markdown, { exclude = [] } = {}) {
+  const headings = findHeadings(markdown);
+  const position = headings.findIndex(
+    ({ depth, text }) => depth === 2 && headingText(text) === TOC_HEADING,
+  );
+  if (position === -1) return markdown;
+
+  const contents = headings[position];
+  const anchors = headingAnchors(markdown);
+  const items = anchors
+    .slice(position + 1)
+    .filter(
+      ({ depth, text }) =>
+        depth === 2 && text !== TOC_HEADING && !exclude.includes(text),
+    )
+    .map(({ text, anchor }) => `- [${text}](#${anchor})`);
+
+  const start = markdown.indexOf("\n", contents.index) + 1;
+  const next = headings[position + 1];
+  const end = next ? next.index : markdown.length;
+  return `${markdown.slice(0, start)}\n${items.join("\n")}\n\n${markdown.slice(end)}`;
+}
+
+/**
+ * Links to `#anchor` that match no heading of `markdown`
+ */
+export function checkAnchors(markdown) {
+  const anchors = new Set(headingAnchors(markdown).map((h) => h.anchor));
+  const problems = [];
+  for (const match of markdown.matchAll(/\]\(#([^)\s]*)\)/g)) {
+    const anchor = decodeURIComponent(match[1]);
+    if (!anchors.has(anchor)) {
+      problems.push({
+        rule: "anchor",
+        line: lineAt(markdown, match.index),
+        message: `link to #${anchor} matches no heading`,
+      });
+    }
+  }
+  return problems;
+}
+
+// `- [Title](https://...) - Description`, the list item format of the list
+const LIST_ITEM = /^[-*] \[([^\]]+)\]\((https?:\/\/[^)\s]+)\)(?: - (.*))?$/;
+
+/**
+ * List items of `markdown` linking to a web page, as
+ * [{ title, url, description, line }] (description null when missing)
+ */
+export function listItems(markdown) {
+  const items = [];
+  let fenced = false;
+  markdown.split("\n").forEach((text, i) => {
+    if (/^\s*(```|~~~)/.test(text)) fenced = !fenced;
+    const match = !fenced && text.match(LIST_ITEM);
+    if (match) {
+      const [, title, url, description = null] = match;
+      items.push({ title, url, description, line: i + 1 });
+    }
+  });
+  return items;
+}
+
+/**
+ * Awesome-list problems of one description: it starts with a capital (or
+ * a name such as `starlight-blog`, a number or code) and ends with
+ * punctuation
+ */
+export function lintDescription(description) {
+  const problems = [];
+  if (/^\p{Ll}+(?=[\s,:;]|$)/u.test(description)) {
+    problems.push({
+      rule: "description-case",
+      message: "description should start with a capital letter",
+    });
+  }
+  if (!/[.!?…]$/.test(description.trim())) {
+    problems.push({
+      rule: "description-punctuation",
+      message: "description should end with punctuation",
+    });
+  }
+  return problems;
+}
+
+/**
+ * Awesome-list problems of the list items of `markdown`: descriptions (as
+ * given by `descriptionOf(item)`, the Markdown text by default) and links
+ * listed twice, except items for which `repeats(item)` is true (such as
+ * the recently added entries). Items without a description are left alone.
+ */
+export function lintListItems(
+  markdown,
+  { descriptionOf = (item) => item.description, repeats = () => false } = {},
+) {
+  const problems = [];
+  const seen = new Map();
+  for (const item of listItems(markdown)) {
+    const description = descriptionOf(item);
+    if (description) {
+      for (const problem of lintDescription(description)) {
+        problems.push({
+          ...problem,
+          line: item.line,
+          message: `${item.title}: ${problem.message}`,
+        });
+      }
+    }
+
+    const id = entryId(item.url);
+    if (repeats(item)) continue;
+    if (seen.has(id)) {
+      problems.push({
+        rule: "duplicate",
+        line: item.line,
+        message: `${item.title}: ${item.url} is already listed on line ${seen.get(id)}`,
+      });
+    } else {
+      seen.set(id, item.line);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Range of lines (1-based, inclusive) of the `##` section titled `title`,
+ * up to the next heading of the same or a higher level, or null
+ */
+export function sectionLines(markdown, title) {
+  const headings = headingAnchors(markdown);
+  const position = headings.findIndex(
+    ({ depth, text }) => depth === 2 && text === title,
+  );
+  if (position === -1) return null;
+  const next = headings.slice(position + 1).find(({ depth }) => depth <= 2);
+  return {
+    from: headings[position].line,
+    to: next ? next.line - 1 : markdown.split("\n").length,
+  };
+}
+
+/**
+ * Range of lines (1-based, inclusive) between the automated content
+ * markers, or null
+ */
+export function automatedLines(markdown) {
+  const start = markdown.indexOf(START_MARKER);
+  const end = markdown.indexOf(END_MARKER);
+  if (start === -1 || end === -1) return null;
+  return { from: lineAt(markdown, start), to: lineAt(markdown, end) };
+}
+
+/**
+ * Entries listed between the automated content markers of `markdown`, as
+ * { category: [{ title, url, description }] } going by the `##` section
+ * they are in. Sections that are not a category (recently added,
+ * unmaintained) are skipped.
+ */
+export function readmeEntries(markdown) {
+  const categories = Object.fromEntries(
+    Object.entries(CATEGORY_TITLES).map(([key, title]) => [title, key]),
+  );
+  const grouped = Object.fromEntries(
+    Object.keys(CATEGORY_TITLES).map((key) => [key, []]),
+  );
+  const range = automatedLines(markdown);
+  if (!range) return grouped;
+
+  const sections = headingAnchors(markdown).filter(
+    ({ depth, line }) => depth === 2 && line > range.from && line < range.to,
+  );
+  for (const { title, url, description, line } of listItems(markdown)) {
+    if (line <= range.from || line >= range.to) continue;
+    const section = sections.findLast((heading) => heading.line < line);
+    const category = section && categories[section.text];
+    if (category) {
+      grouped[category].push({ title, url, description: description || "" });
+    }
+  }
+  return grouped;
+}
@@ -0,0 +1,611 @@
+// Output targets rendered from the stored entries. Each target of the
+// `outputs` config section picks a format (markdown, mdx, rss, atom, opml),
+// a destination (a whole file, or the part of one between two markers) and,
+// for the list formats, its sections and item template:
+//
+//   outputs:
+//     docs:
+//       format: mdx
+//       file: docs/src/content/docs/resources.mdx
+//       sections:
+//         - category: plugins
+//           layout: subcategories
+//       item: '<LinkCard title="{{title}}" href="{{url}}" />'
+//
+// Templates replace {{name}} with a value of the entry (see itemValues())
+// and keep {{#name}}...{{/name}} only when it is set ({{^name}} when not).
+
+import { CATEGORIES, CATEGORY_TITLES } from "./entry-store.js";
+import { formatEnrichment } from "./enrichment.js";
+import { headingAnchor } from "./markdown.js";
+import { END_MARKER, START_MARKER } from "./readme.js";
+import { PLUGIN_SUBCATEGORIES } from "./subcategories.js";
+
+export const UNMAINTAINED = "unmaintained";
+export const UNMAINTAINED_TITLE = "Unmaintained / Archived";
+
+export const RECENT = "recent";
+export const RECENT_TITLE = "Recently Added";
+
+// Sections besides the categories
+const SECTION_TITLES = {
+  ...CATEGORY_TITLES,
+  [RECENT]: RECENT_TITLE,
+  [UNMAINTAINED]: UNMAINTAINED_TITLE,
+};
+
+export const LAYOUTS = ["list", "subcategories", "upstream", "table"];
+
+// Columns of the table layout, as a header and a template for the cells
+export const DEFAULT_COLUMNS = [
+  { title: "Name", value: "[{{title}}]({{url}})" },
+  {
+    title: "Description",
+    value: "{{description}}{{compatibility}}{{metadata}}",
+  },
+];
+
+// Sections of the README, in order. `title` defaults to the category's;
+// `layout` groups the items: by plugin subcategory, by the heading they
+// have upstream, or not at all; or lays them out as a table of `columns`
+// (Markdown and MDX, DEFAULT_COLUMNS by default). The recent section lists the entries added
+// in the last `weeks` weeks.
+export const DEFAULT_SECTIONS = [
+  { category: RECENT, weeks: 4 },
+  { category: "plugins", layout: "subcategories", toc: true },
+  {
+    category: "themes",
+    intro: "Discover beautiful themes for your Starlight documentation:",
+  },
+  {
+    category: "tools",
+    intro: "Development tools and utilities for Starlight:",
+  },
+  {
+    category: "showcases",
+    intro: "Real-world documentation sites built with Starlight:",
+  },
+  {
+    category: "videos",
+    intro: "Video tutorials and screencasts:",
+    layout: "upstream",
+  },
+  { category: "articles", layout: "upstream" },
+  {
+    category: UNMAINTAINED,
+    intro:
+      "Projects that look abandoned: archived, inactive for a long time or incompatible with the current Starlight release. They may still work, but check before depending on them:",
+  },
+];
+
+/**
+ * Fills `template` with `values`, passing every value through `escape`
+ */
+export function fillTemplate(template, values, escape = (value) => value) {
+  return template
+    .replace(
+      /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g,
+      (_, kind, name, inner) =>
+        Boolean(values[name]) === (kind === "#")
+          ? fillTemplate(inner, values, escape)
+          : "",
+    )
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => escape(String(values[name] ?? "")));
+}
+
+/**
+ * Supported Starlight releases (Astro when no Starlight range is declared),
+ * e.g. " (Starlight 0.32+)"
+ */
+export function formatCompatibility(entry) {
+  const { compatibility = {} } = entry;
+  const starlight = compatibility["@astrojs/starlight"];
+  if (starlight?.label) return ` (Starlight ${starlight.label})`;
+  if (compatibility.astro?.label)
+    return ` (Astro ${compatibility.astro.label})`;
+  return "";
+}
+
+/**
+ * Values an item template can use for `entry`. `metadata` is what the
+ * `rendering` config section shows for its category; `recent` is set in
+ * the recent section.
+ */
+export function itemValues(entry, rendering = {}, section = {}) {
+  return {
+    title: entry.title,
+    url: entry.url,
+    description: entry.description || "",
+    category: entry.category,
+    categoryTitle: CATEGORY_TITLES[entry.category],
+    subcategory: entry.subcategory || "",
+    section: entry.section || "",
+    package: entry.package || "",
+    stars: entry.github?.stars ?? "",
+    firstSeen: entry.firstSeen || "",
+    compatibility: formatCompatibility(entry),
+    metadata: formatEnrichment(entry, rendering[entry.category]),
+    unmaintained: entry.unmaintained?.join("; ") || "",
+    recent: section.category === RECENT,
+  };
+}
+
+/**
+ * Entries added after the first run (`createdAt`, the day the store was
+ * created), the most recent first
+ */
+export function addedEntries(entries, createdAt) {
+  return entries
+    .filter((entry) => entry.firstSeen > (createdAt || ""))
+    .sort(
+      (a, b) =>
+        b.firstSeen.localeCompare(a.firstSeen) ||
+        a.title.localeCompare(b.title),
+    );
+}
+
+/**
+ * Items of `section`: the maintained entries of its category, every
+ * unmaintained entry (by category) for the unmaintained section, or the
+ * maintained entries added in the last `section.weeks` weeks before `now`
+ * (else `generatedAt`) for the recent section
+ */
+export function sectionItems(
+  section,
+  { entries, createdAt, generatedAt, now },
+) {
+  if (section.category === RECENT) {
+    const since = new Date(now ?? generatedAt);
+    since.setUTCDate(since.getUTCDate() - 7 * section.weeks);
+    const day = since.toISOString().slice(0, 10);
+    return addedEntries(entries, createdAt).filter(
+      (entry) => entry.firstSeen > day && !entry.unmaintained,
+    );
+  }
+  if (section.category === UNMAINTAINED) {
+    return CATEGORIES.flatMap((category) =>
+      entries.filter(
+        (entry) => entry.category === category && entry.unmaintained,
+      ),
+    );
+  }
+  return entries.filter(
+    (entry) => entry.category === section.category && !entry.unmaintained,
+  );
+}
+
+/**
+ * `items` grouped as `section.layout` says, as [{ heading, items }] (a
+ * single group with a null heading for plain lists). The upstream layout
+ * mirrors the headings items are listed under in the Starlight docs, in the
+ * docs' order (headings not seen in this run come after, alphabetically);
+ * items without a heading close the list under "More <category>".
+ */
+export function sectionGroups(section, items, { sectionOrder = new Map() }) {
+  if (section.layout === "subcategories") {
+    return PLUGIN_SUBCATEGORIES.map(({ key, title }) => ({
+      heading: title,
+      items: items.filter((item) => (item.subcategory || "other") === key),
+    })).filter((group) => group.items.length > 0);
+  }
+
+  if (section.layout === "upstream" && items.some((item) => item.section)) {
+    const order = sectionOrder.get(section.category) || [];
+    const rank = (heading) =>
+      order.includes(heading) ? order.indexOf(heading) : order.length;
+    const headings = [
+      ...new Set(items.map((item) => item.section).filter(Boolean)),
+    ].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+    const groups = headings.map((heading) => ({
+      heading,
+      items: items.filter((item) => item.section === heading),
+    }));
+    const rest = items.filter((item) => !item.section);
+    if (rest.length > 0)
+      groups.push({ heading: `More ${section.category}`, items: rest });
+    return groups;
+  }
+
+  return [{ heading: null, items }];
+}
+
+// Values kept on one Markdown line
+const escapeMarkdown = (text) => text.replace(/\s*\n\s*/g, " ");
+
+// Values in a table cell, which a "|" would end
+const escapeTableCell = (text) => escapeMarkdown(text).replace(/\|/g, "\\|");
+
+// Table cells of MDX, which reads "<" and "{" as JSX
+const escapeMdxTableCell = (text) =>
+  escapeTableCell(text).replace(/[<>{}]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Markdown table of `items`, a row per item with a cell per column
+ */
+function markdownTable(items, section, data, escape) {
+  const columns = section.columns || DEFAULT_COLUMNS;
+  const rows = items.map((entry) => {
+    const values = itemValues(entry, data.rendering, section);
+    return columns.map(({ value }) => fillTemplate(value, values, escape));
+  });
+  return [
+    columns.map(({ title }) => escapeTableCell(title)),
+    columns.map(() => "---"),
+    ...rows,
+  ]
+    .map((cells) => `| ${cells.join(" | ")} |`)
+    .join("\n");
+}
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Sections of `target` with their title and grouped items, skipping empty
+ * ones
+ */
+function renderedSections(target, data) {
+  return target.sections
+    .map((section) => {
+      const items = sectionItems(section, data);
+      return {
+        ...section,
+        title: section.title || SECTION_TITLES[section.category],
+        intro:
+          section.intro ??
+          (section.category === RECENT
+            ? `Added in the last ${section.weeks} weeks, newest first:`
+            : undefined),
+        groups: sectionGroups(section, items, data),
+        count: items.length,
+      };
+    })
+    .filter((section) => section.count > 0);
+}
+
+/**
+ * Entries of a feed: the latest additions
+ */
+function feedEntries(target, data) {
+  return addedEntries(data.entries, data.createdAt).slice(0, target.limit);
+}
+
+const feedDate = (day) => new Date(`${day}T00:00:00Z`);
+
+/**
+ * Last change of a feed listing `entries`: the day of the newest addition
+ * (of the first run when nothing was added), so the file only changes with
+ * its entries
+ */
+function feedUpdated(entries, data) {
+  const day = entries[0]?.firstSeen ?? data.createdAt;
+  return day ? feedDate(day) : new Date(data.generatedAt);
+}
+
+export const FORMATS = {
+  markdown: {
+    item: "- [{{title}}]({{url}}){{#description}} - {{description}}{{/description}}{{compatibility}}{{metadata}}{{#recent}} _({{categoryTitle}}, added {{firstSeen}})_{{/recent}}{{#unmaintained}} _({{unmaintained}})_{{/unmaintained}}",
+    render(target, data) {
+      return renderedSections(target, data)
+        .map((section) => {
+          const { title, intro, toc, groups } = section;
+          const list = (items) =>
+            items
+              .map((entry) =>
+                fillTemplate(
+                  target.item,
+                  itemValues(entry, data.rendering, section),
+                  escapeMarkdown,
+                ),
+              )
+              .join("\n");
+
+          let body;
+          if (section.layout === "table") {
+            body = markdownTable(
+              groups[0].items,
+              section,
+              data,
+              escapeTableCell,
+            );
+          } else if (groups.length === 1 && groups[0].heading === null) {
+            body = list(groups[0].items);
+          } else {
+            body = groups
+              .map(({ heading, items }) => `### ${heading}\n\n${list(items)}`)
+              .join("\n\n");
+            if (toc) {
+              const contents = groups
+                .map(
+                  ({ heading }) => `- [${heading}](#${headingAnchor(heading)})`,
+                )
+                .join("\n");
+              body = `${contents}\n\n${body}`;
+            }
+          }
+          return `## ${title}\n\n${intro ? `${intro}\n\n` : ""}${body}`;
+        })
+        .join("\n\n");
+    },
+  },
+
+  // Starlight page with <LinkCard> components in a <CardGrid> per group
+  mdx: {
+    item: '<LinkCard title="{{title}}" href="{{url}}"{{#description}} description="{{description}}"{{/description}} />',
+    render(target, data) {
+      const body = renderedSections(target, data)
+        .map((section) => {
+          const { title, intro, groups } = section;
+          const grid = (items) =>
+            `<CardGrid>\n${items
+              .map(
+                (entry) =>
+                  `\t${fillTemplate(target.item, itemValues(entry, data.rendering, section), escapeXml)}`,
+              )
+              .join("\n")}\n</CardGrid>`;
+          const content =
+            section.layout === "table"
+              ? markdownTable(
+                  groups[0].items,
+                  section,
+                  data,
+                  escapeMdxTableCell,
+                )
+              : groups
+                  .map(({ heading, items }) =>
+                    heading ? `### ${heading}\n\n${grid(items)}` : grid(items),
+                  )
+                  .join("\n\n");
+          return `## ${title}\n\n${intro ? `${intro}\n\n` : ""}${content}`;
+        })
+        .join("\n\n");
+      if (target.markers) return body;
+
+      return `---
+title: ${JSON.stringify(target.title)}
+---
+
+import { CardGrid, LinkCard } from "@astrojs/starlight/components";
+
+${body}
+`;
+    },
+  },
+
+  rss: {
+    render(target, data) {
+      const entries = feedEntries(target, data);
+      const items = entries.map(
+        (entry) => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.url)}</guid>
+      <pubDate>${feedDate(entry.firstSeen).toUTCString()}</pubDate>
+      <category>${escapeXml(CATEGORY_TITLES[entry.category])}</category>
+      <description>${escapeXml(entry.description || "")}</description>
+    </item>`,
+      );
+      return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(target.title)}</title>
+    <link>${escapeXml(target.link)}</link>
+    <description>${escapeXml(target.description)}</description>
+    <lastBuildDate>${feedUpdated(entries, data).toUTCString()}</lastBuildDate>
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+    },
+  },
+
+  atom: {
+    render(target, data) {
+      const added = feedEntries(target, data);
+      const entries = added.map(
+        (entry) => `  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <id>${escapeXml(entry.url)}</id>
+    <link href="${escapeXml(entry.url)}"/>
+    <updated>${feedDate(entry.firstSeen).toISOString()}</updated>
+    <category term="${entry.category}" label="${escapeXml(CATEGORY_TITLES[entry.category])}"/>
+    <summary>${escapeXml(entry.description || "")}</summary>
+  </entry>`,
+      );
+      return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(target.title)}</title>
+  <subtitle>${escapeXml(target.description)}</subtitle>
+  <id>${escapeXml(target.link)}</id>
+  <link href="${escapeXml(target.link)}"/>
+  <updated>${feedUpdated(added, data).toISOString()}</updated>
+  <author>
+    <name>${escapeXml(target.author)}</name>
+  </author>
+${entries.join("\n")}
+</feed>
+`;
+    },
+  },
+
+  // Outline of the sections, with one link outline per entry
+  opml: {
+    render(target, data) {
+      const link = (entry, indent) =>
+        `${indent}<outline type="link" text="${escapeXml(entry.title)}" url="${escapeXml(entry.url)}"${entry.description ? ` description="${escapeXml(entry.description)}"` : ""}/>`;
+
+      const outlines = renderedSections(target, data).map(
+        ({ title, groups }) => {
+          const children = groups.map(({ heading, items }) =>
+            heading
+              ? `      <outline text="${escapeXml(heading)}">\n${items.map((entry) => link(entry, "        ")).join("\n")}\n      </outline>`
+              : items.map((entry) => link(entry, "      ")).join("\n"),
+          );
+          return `    <outline text="${escapeXml(title)}">\n${children.join("\n")}\n    </outline>`;
+        },
+      );
+      return `<?xml version="1.0" encoding="utf-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(target.title)}</title>
+    <dateCreated>${new Date(data.generatedAt).toUTCString()}</dateCreated>
+  </head>
+  <body>
+${outlines.join("\n")}
+  </body>
+</opml>
+`;
+    },
+  },
+};
+
+const FEEDS = ["rss", "atom"];
+
+const TARGET_DEFAULTS = {
+  enabled: true,
+  format: "markdown",
+  file: null,
+  // [start, end] comments to write between, or null for the whole file
+  markers: null,
+  sections: DEFAULT_SECTIONS,
+  // Item template; null uses the format's
+  item: null,
+  title: "Awesome Starlight",
+  description: "A curated list of awesome things related to Astro Starlight.",
+  // Page the feeds link to
+  link: null,
+  // Author of the feeds, required by Atom
+  author: "Awesome Starlight contributors",
+  // Additions listed in feeds
+  limit: 50,
+};
+
+export const DEFAULT_OUTPUTS = {
+  readme: {
+    format: "markdown",
+    file: "README.md",
+    markers: [START_MARKER, END_MARKER],
+  },
+  // New entries, for people to subscribe to
+  feed: {
+    format: "atom",
+    file: "feed.xml",
+    title: "New in Awesome Starlight",
+    description:
+      "Starlight plugins, themes, tools and resources as they are added to the list.",
+    link: "https://github.com/trueberryless-org/awesome-starlight",
+  },
+};
+
+/**
+ * The enabled targets of the `outputs` config section with defaults filled
+ * in, as [{ name, format, file, markers, sections, item, ... }]
+ */
+export function resolveOutputs(outputs) {
+  return Object.entries(outputs)
+    .map(([name, options]) => {
+      const target = {
+        ...TARGET_DEFAULTS,
+        ...DEFAULT_OUTPUTS[name],
+        ...options,
+        name,
+      };
+      target.item ??= FORMATS[target.format]?.item ?? null;
+      return target;
+    })
+    .filter((target) => target.enabled);
+}
+
+/**
+ * Problems of the `outputs` config section, empty when it is valid
+ */
+export function validateOutputs(outputs) {
+  const errors = [];
+  for (const target of resolveOutputs(outputs)) {
+    const at = `outputs.${target.name}`;
+    if (!FORMATS[target.format]) {
+      errors.push(
+        `${at}.format must be one of: ${Object.keys(FORMATS).join(", ")}`,
+      );
+      continue;
+    }
+    if (!target.file) errors.push(`${at}.file is required`);
+    if (
+      target.markers !== null &&
+      !(Array.isArray(target.markers) && target.markers.length === 2)
+    ) {
+      errors.push(`${at}.markers must be a [start, end] pair`);
+    }
+    if (FEEDS.includes(target.format) && !target.link) {
+      errors.push(`${at}.link is required for ${target.format} feeds`);
+    }
+    if (target.format === "atom" && !target.author) {
+      errors.push(`${at}.author is required for atom feeds`);
+    }
+    target.sections.forEach((section, i) => {
+      if (!(section.category in SECTION_TITLES)) {
+        errors.push(
+          `${at}.sections[${i}].category must be one of: ${Object.keys(SECTION_TITLES).join(", ")}`,
+        );
+      }
+      if (
+        section.category === RECENT &&
+        !(Number.isInteger(section.weeks) && section.weeks > 0)
+      ) {
+        errors.push(`${at}.sections[${i}].weeks must be a positive integer`);
+      }
+      if (section.layout && !LAYOUTS.includes(section.layout)) {
+        errors.push(
+          `${at}.sections[${i}].layout must be one of: ${LAYOUTS.join(", ")}`,
+        );
+      }
+      if (
+        section.columns !== undefined &&
+        !(
+          Array.isArray(section.columns) &&
+          section.columns.length > 0 &&
+          section.columns.every(
+            (column) =>
+              typeof column?.title === "string" &&
+              typeof column?.value === "string",
+          )
+        )
+      ) {
+        errors.push(
+          `${at}.sections[${i}].columns must be a list of { title, value }`,
+        );
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Content of `target` for `data`: { entries (store order), sectionOrder
+ * (upstream headings by category), rendering (config section),
+ * createdAt (day of the first run), generatedAt (last change of the
+ * entries), now (time of the run) }
+ */
+export function renderOutput(target, data) {
+  return FORMATS[target.format].render(target, data);
+}
+
+/**
+ * `existing` file content with `content` written between the markers of
+ * `target`
+ */
+export function replaceBetweenMarkers(existing, content, target) {
+  const [startMarker, endMarker] = target.markers;
+  const start = existing.indexOf(startMarker);
+  const end = existing.indexOf(endMarker);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`Markers not found in ${target.file}`);
+  }
+  return `${existing.slice(0, start + startMarker.length)}\n\n${content}\n\n${existing.slice(end)}`;
+}
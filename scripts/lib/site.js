@@ -0,0 +1,295 @@
+// Static output built from the same entries as the README: a JSON API and a
+// self-contained HTML page to search and filter the list in the browser.
+//
+//   <outDir>/index.html
+//   <outDir>/api/index.json       categories, subcategories and counts
+//   <outDir>/api/entries.json     every entry
+//   <outDir>/api/<category>.json  entries of one category
+
+import fs from "fs/promises";
+import path from "path";
+import { CATEGORIES, CATEGORY_TITLES } from "./entry-store.js";
+import { PLUGIN_SUBCATEGORIES } from "./subcategories.js";
+
+export const SITE_API_VERSION = 1;
+
+const json = (value) => JSON.stringify(value, null, 2) + "\n";
+
+/**
+ * `value` as JSON that can sit inside a <script> element
+ */
+function scriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Entries linking to web pages. URLs come from third parties (npm homepages,
+ * showcase files), so a `javascript:` or `data:` link is left out rather than
+ * made clickable.
+ */
+function webEntries(entries) {
+  return entries.filter((entry) => {
+    try {
+      return ["http:", "https:"].includes(new URL(entry.url).protocol);
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * The JSON API documents, by path relative to the output directory
+ */
+export function buildApi(allEntries, { generatedAt, starlightVersion }) {
+  const entries = webEntries(allEntries);
+  const meta = {
+    version: SITE_API_VERSION,
+    generatedAt,
+    starlightVersion: starlightVersion || null,
+  };
+  const byCategory = Object.fromEntries(
+    CATEGORIES.map((category) => [
+      category,
+      entries.filter((entry) => entry.category === category),
+    ]),
+  );
+
+  const files = {
+    "api/index.json": {
+      ...meta,
+      count: entries.length,
+      categories: CATEGORIES.map((category) => ({
+        key: category,
+        title: CATEGORY_TITLES[category],
+        count: byCategory[category].length,
+        path: `api/${category}.json`,
+      })),
+      subcategories: PLUGIN_SUBCATEGORIES.map(({ key, title }) => ({
+        key,
+        title,
+      })),
+    },
+    "api/entries.json": { ...meta, count: entries.length, entries },
+  };
+  for (const category of CATEGORIES) {
+    files[`api/${category}.json`] = {
+      ...meta,
+      category,
+      count: byCategory[category].length,
+      entries: byCategory[category],
+    };
+  }
+  return files;
+}
+
+/**
+ * The browsable page, with the entries embedded so it works from disk
+ */
+export function renderSitePage({
+  title,
+  entries,
+  generatedAt,
+  starlightVersion,
+}) {
+  const data = {
+    entries: webEntries(entries),
+    generatedAt,
+    starlightVersion: starlightVersion || null,
+    categories: CATEGORIES.map((key) => ({ key, title: CATEGORY_TITLES[key] })),
+    subcategories: PLUGIN_SUBCATEGORIES.map(({ key, title }) => ({
+      key,
+      title,
+    })),
+  };
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  :root { color-scheme: light dark; --accent: #7c5cff; --muted: #6b7280; --border: #8884; }
+  body { font: 16px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 72rem; padding: 1.5rem; }
+  header p { color: var(--muted); margin-top: 0; }
+  form { display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: end; margin: 1rem 0; }
+  label { display: flex; flex-direction: column; font-size: 0.85rem; color: var(--muted); }
+  label.check { flex-direction: row; align-items: center; gap: 0.35rem; }
+  input, select { font: inherit; padding: 0.3rem 0.5rem; }
+  input[type="search"] { min-width: 16rem; }
+  ul { list-style: none; padding: 0; }
+  li { border-top: 1px solid var(--border); padding: 0.75rem 0; }
+  li a { color: var(--accent); font-weight: 600; }
+  .meta { color: var(--muted); font-size: 0.85rem; display: flex; flex-wrap: wrap; gap: 0.25rem 1rem; }
+  .badge { border: 1px solid var(--border); border-radius: 1rem; padding: 0 0.5rem; }
+  .warn { color: #b45309; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p>Updated <time id="generated"></time>. Also available as <a href="api/entries.json">JSON</a>.</p>
+</header>
+<form id="filters" role="search">
+  <label>Search <input id="q" type="search" placeholder="Name or description"></label>
+  <label>Category <select id="category"><option value="">All</option></select></label>
+  <label>Subcategory <select id="subcategory"><option value="">All</option></select></label>
+  <label>Min. stars <input id="stars" type="number" min="0" step="1" value="0"></label>
+  <label>Updated within
+    <select id="updated">
+      <option value="">Any time</option>
+      <option value="30">30 days</option>
+      <option value="180">6 months</option>
+      <option value="365">1 year</option>
+    </select>
+  </label>
+  <label>Sort
+    <select id="sort">
+      <option value="title">Name</option>
+      <option value="stars">Stars</option>
+      <option value="updated">Last updated</option>
+      <option value="added">Recently added</option>
+    </select>
+  </label>
+  <label class="check"><input id="compatible" type="checkbox"> Compatible with the latest Starlight</label>
+  <label class="check"><input id="unmaintained" type="checkbox"> Include unmaintained</label>
+</form>
+<p id="count" aria-live="polite"></p>
+<ul id="results"></ul>
+<script id="data" type="application/json">${scriptJson(data)}</script>
+<script>
+(() => {
+  const data = JSON.parse(document.getElementById("data").textContent);
+  const $ = (id) => document.getElementById(id);
+  const titles = Object.fromEntries(
+    [...data.categories, ...data.subcategories].map((c) => [c.key, c.title]),
+  );
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const lastUpdated = (entry) => entry.github?.pushedAt || entry.npm?.publishedAt || null;
+  const starlight = (entry) => entry.compatibility?.["@astrojs/starlight"];
+
+  for (const [select, options] of [[$("category"), data.categories], [$("subcategory"), data.subcategories]]) {
+    for (const { key, title } of options) select.add(new Option(title, key));
+  }
+  $("generated").textContent = data.generatedAt.slice(0, 10);
+  $("generated").dateTime = data.generatedAt;
+
+  const params = new URLSearchParams(location.search);
+  for (const id of ["q", "category", "subcategory", "stars", "updated", "sort"]) {
+    if (params.has(id)) $(id).value = params.get(id);
+  }
+  for (const id of ["compatible", "unmaintained"]) $(id).checked = params.get(id) === "1";
+
+  function matches(entry, filters) {
+    const text = (entry.title + " " + entry.description + " " + (entry.package || "")).toLowerCase();
+    if (filters.q && !filters.q.split(/\\s+/).every((word) => text.includes(word))) return false;
+    if (filters.category && entry.category !== filters.category) return false;
+    if (filters.subcategory && entry.subcategory !== filters.subcategory) return false;
+    if (filters.stars > 0 && (entry.github?.stars || 0) < filters.stars) return false;
+    if (filters.updated) {
+      const updated = lastUpdated(entry);
+      if (!updated || Date.now() - new Date(updated) > filters.updated * DAY) return false;
+    }
+    if (filters.compatible && starlight(entry)?.latest !== true) return false;
+    if (!filters.unmaintained && entry.unmaintained) return false;
+    return true;
+  }
+
+  const sorters = {
+    title: (a, b) => a.title.localeCompare(b.title),
+    stars: (a, b) => (b.github?.stars || 0) - (a.github?.stars || 0),
+    updated: (a, b) => (lastUpdated(b) || "").localeCompare(lastUpdated(a) || ""),
+    added: (a, b) => b.firstSeen.localeCompare(a.firstSeen),
+  };
+
+  function item(entry) {
+    const li = document.createElement("li");
+    const link = document.createElement("a");
+    link.href = entry.url;
+    link.textContent = entry.title;
+    li.append(link);
+    if (entry.description) li.append(" – " + entry.description);
+
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    const add = (text, className) => {
+      const span = document.createElement("span");
+      span.textContent = text;
+      if (className) span.className = className;
+      meta.append(span);
+    };
+    add(titles[entry.subcategory] || titles[entry.category], "badge");
+    if (entry.github) add("★ " + entry.github.stars);
+    if (lastUpdated(entry)) add("Updated " + lastUpdated(entry).slice(0, 10));
+    if (starlight(entry)?.label) add("Starlight " + starlight(entry).label);
+    if (entry.unmaintained) add("Unmaintained: " + entry.unmaintained.join("; "), "warn");
+    li.append(meta);
+    return li;
+  }
+
+  function render() {
+    const filters = {
+      q: $("q").value.trim().toLowerCase(),
+      category: $("category").value,
+      subcategory: $("subcategory").value,
+      stars: Number($("stars").value) || 0,
+      updated: Number($("updated").value) || 0,
+      compatible: $("compatible").checked,
+      unmaintained: $("unmaintained").checked,
+    };
+    const results = data.entries
+      .filter((entry) => matches(entry, filters))
+      .sort(sorters[$("sort").value] || sorters.title);
+    $("results").replaceChildren(...results.map(item));
+    $("count").textContent = results.length + " of " + data.entries.length + " entries";
+
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...filters, sort: $("sort").value })) {
+      if (value === true) query.set(key, "1");
+      else if (value && value !== "title") query.set(key, value);
+    }
+    history.replaceState(null, "", query.size ? "?" + query : location.pathname);
+  }
+
+  $("filters").addEventListener("input", render);
+  $("filters").addEventListener("submit", (event) => event.preventDefault());
+  render();
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the page and the JSON API for `entries` (store order) to `outDir`
+ */
+export async function writeSite(
+  outDir,
+  { title, entries, generatedAt, starlightVersion },
+) {
+  const files = buildApi(entries, { generatedAt, starlightVersion });
+  await fs.mkdir(path.join(outDir, "api"), { recursive: true });
+  await Promise.all([
+    ...Object.entries(files).map(([file, value]) =>
+      fs.writeFile(path.join(outDir, file), json(value), "utf-8"),
+    ),
+    fs.writeFile(
+      path.join(outDir, "index.html"),
+      renderSitePage({ title, entries, generatedAt, starlightVersion }),
+      "utf-8",
+    ),
+  ]);
+  return Object.keys(files).length + 1;
+}
@@ -0,0 +1,96 @@
+// Tells whether a page was built with Starlight, from its HTML alone. Used to
+// confirm candidate showcase sites before they are listed, and to read how
+// a site names and describes itself.
+
+// <meta name="generator" content="Starlight v0.36.1"> (attributes in any order)
+const GENERATOR_TAG = /<meta\b[^>]*\bname=["']?generator["']?[^>]*>/gi;
+const GENERATOR_CONTENT = /\bcontent=["']?Starlight(?:\s+v?([\w.-]+))?/i;
+
+// Markup Starlight renders on every page. Sites can remove the generator tag,
+// but not easily all of these.
+const MARKUP_SIGNATURES = [
+  ["starlight-theme-select", /<starlight-theme-select\b/i],
+  ["starlight-menu-button", /<starlight-menu-button\b/i],
+  ["starlight-toc", /<(?:mobile-)?starlight-toc\b/i],
+  ["sl-markdown-content", /class=["'][^"']*\bsl-markdown-content\b/i],
+  ["sl-flex", /class=["'][^"']*\bsl-flex\b/i],
+];
+
+// Several signatures, so a site borrowing one class name is not enough
+const MIN_MARKUP_SIGNATURES = 2;
+
+/**
+ * How `html` was recognized as a Starlight page:
+ * `{ via: "generator", version }`, `{ via: "markup", signatures }`, or null
+ * when it does not look like one
+ */
+export function detectStarlight(html) {
+  for (const [tag] of html.matchAll(GENERATOR_TAG)) {
+    const match = tag.match(GENERATOR_CONTENT);
+    if (match) return { via: "generator", version: match[1] || null };
+  }
+
+  const signatures = MARKUP_SIGNATURES.filter(([, pattern]) =>
+    pattern.test(html),
+  ).map(([name]) => name);
+  if (signatures.length >= MIN_MARKUP_SIGNATURES) {
+    return { via: "markup", signatures };
+  }
+  return null;
+}
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#x([\da-f]+);/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16)),
+    )
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, "&")
+    .trim();
+
+/**
+ * Name of the site: its og:site_name (set by Starlight), or the <title>
+ * without the page part ("Page | Site")
+ */
+export function siteTitle(html) {
+  const siteName = html.match(
+    /<meta\b[^>]*\bproperty=["']og:site_name["'][^>]*\bcontent=["']([^"']*)["']/i,
+  );
+  if (siteName) return decodeEntities(siteName[1]);
+
+  const title = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+  if (!title) return "";
+  return decodeEntities(title[1].split(" | ").pop());
+}
+
+// Meta tags describing the page, by preference
+const DESCRIPTION_TAGS = [
+  "description",
+  "og:description",
+  "twitter:description",
+];
+
+const META_TAG = /<meta\b[^>]*>/gi;
+const ATTRIBUTE = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+
+/**
+ * What the page says about itself: its <meta name="description">, else its
+ * OpenGraph or Twitter description; empty when it has none
+ */
+export function metaDescription(html) {
+  const found = {};
+  for (const [tag] of html.matchAll(META_TAG)) {
+    const attributes = {};
+    for (const [, name, ...values] of tag.matchAll(ATTRIBUTE)) {
+      attributes[name.toLowerCase()] = values.find((v) => v !== undefined);
+    }
+    const key = (attributes.name || attributes.property || "").toLowerCase();
+    if (DESCRIPTION_TAGS.includes(key) && attributes.content?.trim()) {
+      found[key] ??= decodeEntities(attributes.content);
+    }
+  }
+  return DESCRIPTION_TAGS.map((key) => found[key]).find(Boolean) || "";
+}
@@ -0,0 +1,76 @@
+// Subcategories of "Plugins & Integrations". An entry gets the one named by
+// the upstream heading it is listed under when that heading is topical,
+// otherwise the first whose keywords match its name, description or npm
+// keywords. Overrides can set `subcategory` explicitly.
+
+// Rendering order; "other" catches everything else and stays last
+export const PLUGIN_SUBCATEGORIES = [
+  {
+    key: "search",
+    title: "Search",
+    pattern: /search|algolia|pagefind|typesense|meilisearch|orama/,
+  },
+  {
+    key: "navigation",
+    title: "Navigation & Sidebar",
+    pattern:
+      /sidebar|navigation|\bnav\b|breadcrumb|table of contents|\btoc\b|topics|pagination|back.to.top|versions?\b/,
+  },
+  {
+    key: "api",
+    title: "API Reference",
+    pattern: /\bapi\b|openapi|swagger|typedoc|tsdoc|jsdoc|graphql/,
+  },
+  {
+    key: "diagrams",
+    title: "Diagrams",
+    pattern: /diagram|mermaid|\bd2\b|plantuml|graphviz|excalidraw|kroki|chart/,
+  },
+  {
+    key: "i18n",
+    title: "i18n",
+    pattern:
+      /i18n|translat|locali[sz]|internationali[sz]|multilingual|languages?\b/,
+  },
+  {
+    key: "blog",
+    title: "Blog & Changelog",
+    pattern: /\bblog|changelog|release notes|\brss\b/,
+  },
+  {
+    key: "analytics",
+    title: "Analytics & Feedback",
+    pattern:
+      /analytics|feedback|telemetry|tracking|comments?\b|giscus|rating|survey|plausible|umami/,
+  },
+  {
+    key: "content",
+    title: "Content & Markdown",
+    pattern:
+      /markdown|\bmdx\b|code|image|zoom|tabs?\b|heading|callout|aside|component|links?\b|video|math|katex|embed|announcement|banner/,
+  },
+  { key: "other", title: "Other", pattern: null },
+];
+
+export const SUBCATEGORY_KEYS = PLUGIN_SUBCATEGORIES.map((s) => s.key);
+
+const byPattern = (text) =>
+  PLUGIN_SUBCATEGORIES.find((s) => s.pattern?.test(text.toLowerCase()))?.key;
+
+/**
+ * Subcategory named by an upstream heading such as "Search providers", or
+ * undefined for headings that are not topical ("Community plugins")
+ */
+export function subcategoryFromHeading(heading) {
+  return heading ? byPattern(heading) : undefined;
+}
+
+/**
+ * Subcategory of a plugin entry
+ */
+export function classifyPlugin(item) {
+  const text = [item.title, item.description, ...(item.keywords || [])].join(
+    " ",
+  );
+  return subcategoryFromHeading(item.section) || byPattern(text) || "other";
+}
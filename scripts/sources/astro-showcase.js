@@ -0,0 +1,54 @@
+// Sites tagged "starlight" in the Astro showcase (astro.build/showcase).
+
+import yaml from "js-yaml";
+
+export const astroShowcase = {
+  name: "astro-showcase",
+  provenance: ["astro-showcase"],
+  defaults: {
+    enabled: true,
+    // GitHub contents API listing of the showcase entries (one YAML per site)
+    api: "https://api.github.com/repos/withastro/astro.build/contents/src/content/showcase",
+  },
+
+  async fetch(context, options) {
+    const response = await context.http.fetch(options.api, {
+      headers: context.github.headers(),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    const files = await response.json();
+    const ymlFiles = files.filter((file) => file.name.endsWith(".yml"));
+
+    const results = await Promise.all(
+      ymlFiles.map(async (file) => {
+        try {
+          const data = yaml.load(await context.fetchText(file.download_url));
+          if (!data.categories?.includes("starlight")) return null;
+
+          const site = {
+            title: data.title,
+            url: data.url,
+            description: "",
+            category: "showcases",
+            source: "astro-showcase",
+          };
+
+          // VALIDATION CHECK (404s + Forks)
+          const result = await context.validateUrl(site.url);
+          if (!context.acceptLink(site.url, result)) {
+            console.log(`   ✗ Skipping invalid/fork/dead link: ${site.url}`);
+            return null;
+          }
+          return { ...site, validated: result.ok };
+        } catch {
+          // One unreadable entry should not cost the others
+          return null;
+        }
+      }),
+    );
+    return results.filter(Boolean);
+  },
+};
@@ -0,0 +1,87 @@
+// Checks shared by the discovery sources (npm search, GitHub search): their
+// results are unreviewed, so anything already listed, unrelated to
+// Astro/Starlight, forked or dead is dropped before categorization.
+//
+// Candidates are items with the text used for the relevance rules in
+// `keywords` (npm keywords, GitHub topics). Keywords stay on the accepted
+// items for categorization but are not stored.
+
+import { identityKeys } from "../lib/identity.js";
+
+// Entries that can be the same project as a package or repository (a
+// showcase or article sharing its URL is not)
+const PROJECT_CATEGORIES = ["plugins", "themes", "tools"];
+
+/**
+ * Drops candidates listed by earlier sources (handing those entries their
+ * package name and repository) and candidates unrelated to Astro/Starlight
+ */
+export function filterCandidates(context, candidates) {
+  // Identity keys (URL, repository, package) already covered upstream
+  const listedKeys = new Map(
+    context
+      .collected()
+      .flatMap((item) => identityKeys(item).map((key) => [key, item])),
+  );
+
+  const relevant = [];
+
+  for (const candidate of candidates) {
+    // 1. Deduplication
+    const listed = identityKeys(candidate).find((key) => listedKeys.has(key));
+    if (listed) {
+      // Keep the package so the upstream entry gets its npm metadata
+      const item = listedKeys.get(listed);
+      if (PROJECT_CATEGORIES.includes(item.category)) {
+        item.package ||= candidate.package;
+        item.repository ||= candidate.repository;
+      }
+      context.noteDrop(candidate.url, "deduped (already listed upstream)");
+      continue;
+    }
+
+    // 2. TIGHTENED RELEVANCE CHECK
+    const name = candidate.title;
+    const text =
+      `${name} ${candidate.description} ${candidate.keywords.join(" ")}`.toLowerCase();
+
+    const isOfficialScope = name.startsWith("@astrojs/");
+    const mentionsAstro = text.includes("astro");
+    const mentionsStarlight = text.includes("starlight");
+
+    // Rule: If it's not in @astrojs scope, it MUST mention 'astro' explicitly.
+    if (!isOfficialScope && !mentionsAstro) {
+      context.noteDrop(candidate.url, "not related to Astro");
+      continue;
+    }
+
+    // Rule: Must verify 'starlight' relevance
+    if (!mentionsStarlight && !name.includes("starlight")) {
+      context.noteDrop(candidate.url, "not related to Starlight");
+      continue;
+    }
+
+    relevant.push(candidate);
+  }
+  return relevant;
+}
+
+/**
+ * Dead link & fork check (concurrent, bounded by the HTTP client). Returns
+ * the accepted candidates as items.
+ */
+export async function validateCandidates(context, candidates) {
+  await context.prefetchGitHubMetadata(
+    candidates.flatMap((candidate) => [candidate.url, candidate.repository]),
+  );
+  const results = await Promise.all(
+    candidates.map((candidate) => context.validateUrl(candidate.url)),
+  );
+
+  const items = [];
+  candidates.forEach((item, i) => {
+    if (!context.acceptLink(item.url, results[i])) return;
+    items.push({ ...item, validated: results[i].ok });
+  });
+  return items;
+}
@@ -0,0 +1,153 @@
+// Starlight plugins and themes that only live on GitHub: repositories tagged
+// with Starlight topics, and packages whose package.json declares
+// @astrojs/starlight as a peer dependency. Items come back without a
+// category; the updater categorizes them (see categorizeItems()).
+
+import { repoSlug } from "../lib/identity.js";
+import { filterCandidates, validateCandidates } from "./discovery.js";
+
+const API = "https://api.github.com";
+const PER_PAGE = 100;
+
+// Code search needs credentials, and the query is fixed: a package.json that
+// mentions @astrojs/starlight (peer dependency checked on the file itself)
+export const CODE_QUERY = '"@astrojs/starlight" filename:package.json';
+
+/**
+ * Every result of a GitHub search, up to `maxPages` pages
+ */
+export async function searchGitHub(context, endpoint, query, maxPages) {
+  const items = [];
+  for (let page = 1; page <= maxPages; page++) {
+    const params = new URLSearchParams({
+      q: query,
+      per_page: String(PER_PAGE),
+      page: String(page),
+    });
+    const response = await context.http.fetch(
+      `${API}/search/${endpoint}?${params}`,
+      { headers: context.github.headers() },
+    );
+    if (!response.ok) {
+      throw new Error(
+        `GitHub ${endpoint} search failed: HTTP ${response.status} ${response.statusText}`,
+      );
+    }
+    const data = await response.json();
+    items.push(...data.items);
+    if (data.items.length < PER_PAGE) break;
+  }
+  return items;
+}
+
+function repositoryToCandidate(repo) {
+  return {
+    title: repo.name,
+    url: repo.homepage || repo.html_url,
+    description: repo.description || "",
+    repository: repo.html_url,
+    source: "github",
+    keywords: repo.topics || [],
+  };
+}
+
+/**
+ * Candidate for a package.json found by code search, or null when it does
+ * not declare @astrojs/starlight as a peer dependency (e.g. a docs site)
+ */
+async function packageJsonToCandidate(context, result) {
+  const { repository: repo, path } = result;
+  let manifest;
+  try {
+    manifest = JSON.parse(
+      await context.fetchText(
+        `https://raw.githubusercontent.com/${repo.full_name}/HEAD/${path}`,
+      ),
+    );
+  } catch {
+    return null;
+  }
+  if (!manifest.peerDependencies?.["@astrojs/starlight"]) return null;
+
+  // Packages in a monorepo link to their own directory
+  const dir = path.split("/").slice(0, -1).join("/");
+  const repository = dir ? `${repo.html_url}/tree/HEAD/${dir}` : repo.html_url;
+
+  return {
+    title: manifest.name || repo.name,
+    url: manifest.homepage || repository,
+    description: manifest.description || repo.description || "",
+    ...(manifest.name && !manifest.private && { package: manifest.name }),
+    repository,
+    source: "github",
+    keywords: manifest.keywords || [],
+  };
+}
+
+export const githubSearch = {
+  name: "github",
+  provenance: ["github"],
+  defaults: {
+    enabled: true,
+    // Repository topics to search for
+    topics: ["starlight-plugin", "starlight-theme", "astro-starlight"],
+    // Also search package.json files for an @astrojs/starlight peer
+    // dependency (requires GITHUB_TOKEN)
+    codeSearch: true,
+    // Result pages (of 100) read per search
+    maxPages: 2,
+  },
+
+  async fetch(context, options) {
+    // One candidate per repository (or monorepo package)
+    const candidates = new Map();
+    const add = (candidate) => {
+      const key = repoSlug(candidate.repository);
+      if (!candidates.has(key)) candidates.set(key, candidate);
+    };
+
+    for (const topic of options.topics) {
+      const repos = await searchGitHub(
+        context,
+        "repositories",
+        `topic:${topic} fork:false archived:false`,
+        options.maxPages,
+      );
+      repos
+        .filter((repo) => !repo.fork)
+        .forEach((repo) => {
+          add(repositoryToCandidate(repo));
+        });
+    }
+
+    if (options.codeSearch && context.github.available) {
+      const results = await searchGitHub(
+        context,
+        "code",
+        CODE_QUERY,
+        options.maxPages,
+      );
+      const found = await Promise.all(
+        results
+          .filter((result) => !result.repository.fork)
+          .map((result) => packageJsonToCandidate(context, result)),
+      );
+      // Package candidates describe the project better than the repository
+      for (const candidate of found.filter(Boolean)) {
+        candidates.set(repoSlug(candidate.repository), candidate);
+      }
+    } else if (options.codeSearch) {
+      console.log("   ⚠️ Skipping code search: no GITHUB_TOKEN");
+    }
+    console.log(`   ✓ Found ${candidates.size} raw GitHub candidates`);
+
+    const items = await validateCandidates(
+      context,
+      filterCandidates(context, [...candidates.values()]),
+    );
+    console.log(
+      `   ✓ Kept ${items.length} repositories after strict filtering`,
+    );
+    return items;
+  },
+};
@@ -0,0 +1,65 @@
+// Source adapters: everything the list is built from. An adapter is an object
+//
+//   {
+//     name,        // key under `sources:` in awesome-starlight.config.yml
+//     provenance,  // prefixes of the `source` values its items carry
+//     defaults,    // its options, including `enabled`
+//     async fetch(context, options) → items
+//   }
+//
+// where items are `{ title, url, description, source, category?, ... }`.
+// Items without a category are categorized by the updater. `context` gives
+// access to the shared HTTP/GitHub clients, link validation and the items
+// collected by the adapters that ran before (see sourceContext() in
+// scripts/update-list.js). Adapters run in registration order; discovery
+// sources such as npm search come last so they can skip what is listed.
+
+import { astroShowcase } from "./astro-showcase.js";
+import { githubSearch } from "./github-search.js";
+import { npmSearch } from "./npm-search.js";
+import { starlightDocs } from "./starlight-docs.js";
+import { starlightSites } from "./starlight-sites.js";
+
+const adapters = [];
+
+/**
+ * Adds `adapter` to the registry, at the end or right before the adapter
+ * named `before`
+ */
+export function registerSource(adapter, { before } = {}) {
+  if (adapters.some((a) => a.name === adapter.name)) {
+    throw new Error(`Source "${adapter.name}" is already registered`);
+  }
+  const index = before ? adapters.findIndex((a) => a.name === before) : -1;
+  if (before && index === -1) {
+    throw new Error(
+      `Cannot register "${adapter.name}" before unknown source "${before}"`,
+    );
+  }
+  adapters.splice(index === -1 ? adapters.length : index, 0, adapter);
+}
+
+registerSource(starlightDocs);
+registerSource(astroShowcase);
+registerSource(npmSearch);
+registerSource(githubSearch);
+registerSource(starlightSites);
+
+/**
+ * Default options of every registered adapter, keyed by name
+ */
+export function sourceDefaults() {
+  return Object.fromEntries(
+    adapters.map((adapter) => [adapter.name, adapter.defaults]),
+  );
+}
+
+/**
+ * Registered adapters enabled in `config` (the `sources` section), with
+ * their options
+ */
+export function enabledSources(config) {
+  return adapters
+    .filter((adapter) => config[adapter.name]?.enabled)
+    .map((adapter) => ({ adapter, options: config[adapter.name] }));
+}
@@ -0,0 +1,59 @@
+// Starlight packages found through npm search. Items come back without a
+// category; the updater categorizes them (see categorizeItems()).
+
+import { filterCandidates, validateCandidates } from "./discovery.js";
+
+async function search(context, query) {
+  const response = await context.http.fetch(
+    `https://registry.npmjs.org/-/v1/search?text=${encodeURIComponent(query)}&size=250`,
+  );
+  if (!response.ok) throw new Error(`NPM search error`);
+  return response.json();
+}
+
+function packageToCandidate(pkg) {
+  const links = pkg.links || {};
+  return {
+    title: pkg.name,
+    url: links.homepage || links.repository,
+    description: pkg.description || "",
+    package: pkg.name,
+    repository: links.repository,
+    source: "npm",
+    keywords: pkg.keywords || [],
+  };
+}
+
+export const npmSearch = {
+  name: "npm",
+  provenance: ["npm"],
+  defaults: {
+    enabled: true,
+    queries: ["starlight-", "@astrojs/starlight"],
+  },
+
+  async fetch(context, options) {
+    const candidates = new Map();
+
+    for (const query of options.queries) {
+      const results = await search(context, query);
+      for (const { package: pkg } of results.objects) {
+        // Only valid if name actually implies starlight or is scoped to it
+        if (
+          pkg.name.includes("starlight") ||
+          pkg.name.startsWith("@astrojs/starlight")
+        ) {
+          candidates.set(pkg.name, packageToCandidate(pkg));
+        }
+      }
+    }
+    console.log(`   ✓ Found ${candidates.size} raw NPM candidates`);
+
+    const items = await validateCandidates(
+      context,
+      filterCandidates(context, [...candidates.values()]),
+    );
+    console.log(`   ✓ Kept ${items.length} packages after strict filtering`);
+    return items;
+  },
+};
@@ -0,0 +1,156 @@
+// The community resources pages of the Starlight docs: plugins and tools,
+// themes, articles, videos and showcase sites.
+
+import {
+  attributeLiteral,
+  attributeString,
+  findHeadings,
+  findJsxElements,
+} from "../lib/mdx.js";
+
+const RAW =
+  "https://raw.githubusercontent.com/withastro/starlight/refs/heads/main/docs/src";
+
+/**
+ * Closest heading above `index`, as the `section` of the items found there
+ * (nothing when the page has none)
+ */
+function sectionAt(headings, index) {
+  const section = headings.findLast((h) => h.index < index)?.text;
+  return section ? { section } : {};
+}
+
+/**
+ * Link cards of an MDX page, with the heading they are listed under as
+ * `section`
+ */
+export function parseLinkCard(content) {
+  const headings = findHeadings(content);
+  const links = [];
+  for (const { attributes, index } of findJsxElements(content, "LinkCard")) {
+    const href = attributeString(attributes.href);
+    const title = attributeString(attributes.title);
+    const desc = attributeString(attributes.description);
+    if (href && title && href.startsWith("http")) {
+      links.push({
+        title,
+        url: href,
+        description: desc || "",
+        ...sectionAt(headings, index),
+      });
+    }
+  }
+  return links;
+}
+
+export function parseCardComponent(content) {
+  const cards = [];
+  for (const { attributes } of findJsxElements(content, "Card")) {
+    const title = attributeString(attributes.title);
+    const href = attributeString(attributes.href);
+    if (title && href) {
+      cards.push({ title, url: href, description: "" });
+    }
+  }
+  return cards;
+}
+
+/**
+ * Items of an array prop such as `<ThemeGrid themes={[...]} />`, with the
+ * heading the grid is listed under as `section`
+ */
+function parseGridProp(content, tagName, prop) {
+  const headings = findHeadings(content);
+  const items = [];
+  for (const { attributes, index } of findJsxElements(content, tagName)) {
+    const list = attributeLiteral(attributes[prop]);
+    if (!Array.isArray(list)) continue;
+    for (const entry of list) {
+      const title = attributeString(entry?.title);
+      const href = attributeString(entry?.href);
+      if (title && href) {
+        items.push({
+          title,
+          url: href,
+          description: attributeString(entry.description) || "",
+          ...sectionAt(headings, index),
+        });
+      }
+    }
+  }
+  return items;
+}
+
+export function parseThemeGrid(content) {
+  return parseGridProp(content, "ThemeGrid", "themes");
+}
+
+export function parseYouTubeGrid(content) {
+  return parseGridProp(content, "YouTubeGrid", "videos");
+}
+
+// Upstream file → what it lists
+const FILES = [
+  {
+    path: "content/docs/resources/plugins.mdx",
+    parse: [[parseLinkCard, "plugins"]],
+    source: "starlight:plugins",
+  },
+  {
+    path: "content/docs/resources/themes.mdx",
+    parse: [[parseThemeGrid, "themes"]],
+    source: "starlight:themes",
+  },
+  {
+    path: "content/docs/resources/community-content.mdx",
+    parse: [
+      [parseLinkCard, "articles"],
+      [parseYouTubeGrid, "videos"],
+    ],
+    source: "starlight:community",
+  },
+  {
+    path: "components/showcase-sites.astro",
+    parse: [[parseCardComponent, "showcases"]],
+    source: "starlight:showcases",
+  },
+];
+
+export const starlightDocs = {
+  name: "starlight-docs",
+  provenance: ["starlight:"],
+  defaults: {
+    enabled: true,
+    // Raw URL of the docs `src` directory on the branch to follow
+    baseUrl: RAW,
+  },
+
+  async fetch(context, options) {
+    const pages = await Promise.all(
+      FILES.map((file) => context.fetchText(`${options.baseUrl}/${file.path}`)),
+    );
+
+    const items = [];
+    const empty = [];
+    FILES.forEach((file, i) => {
+      const name = file.path.split("/").pop();
+      for (const [parse, category] of file.parse) {
+        const parsed = parse(pages[i]);
+        // An empty parse almost always means the upstream markup changed
+        if (parsed.length === 0) {
+          empty.push(file.parse.length > 1 ? `${name} (${category})` : name);
+        }
+        for (const item of parsed) {
+          items.push({ ...item, category, source: file.source });
+        }
+      }
+    });
+
+    if (empty.length > 0) {
+      throw new Error(
+        `Parsed 0 items from ${empty.join(", ")}. The upstream format has probably changed.`,
+      );
+    }
+    return items;
+  },
+};
@@ -0,0 +1,127 @@
+// Showcase sites discovered by detecting Starlight on candidate pages: the
+// homepages of GitHub repositories depending on @astrojs/starlight, plus any
+// configured URL. A candidate is only listed once its HTML confirms Starlight
+// (see scripts/lib/starlight-detector.js).
+
+import { canonicalizeUrl } from "../lib/identity.js";
+import {
+  detectStarlight,
+  metaDescription,
+  siteTitle,
+} from "../lib/starlight-detector.js";
+import { CODE_QUERY, searchGitHub } from "./github-search.js";
+
+/**
+ * Homepages of the (unforked) repositories with a package.json mentioning
+ * @astrojs/starlight
+ */
+async function dependentHomepages(context, maxPages) {
+  const results = await searchGitHub(context, "code", CODE_QUERY, maxPages);
+  const slugs = [
+    ...new Set(
+      results
+        .filter((result) => !result.repository.fork)
+        .map((result) => result.repository.full_name),
+    ),
+  ];
+
+  await context.prefetchGitHubMetadata(
+    slugs.map((slug) => `https://github.com/${slug}`),
+  );
+  return slugs.map((slug) => context.github.get(slug)?.homepage);
+}
+
+/**
+ * `url` as an absolute http(s) URL (homepages are often given without a
+ * scheme, e.g. `example.dev`), or null when it is not a web address
+ */
+function siteUrl(url) {
+  const trimmed = url.trim();
+  const absolute = /^[a-z][a-z\d+.-]*:/i.test(trimmed)
+    ? trimmed
+    : `https://${trimmed}`;
+  try {
+    const { protocol } = new URL(absolute);
+    return ["http:", "https:"].includes(protocol) ? absolute : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The showcase item for `url`, or null when the page is unreachable or not
+ * built with Starlight
+ */
+async function detectSite(context, url) {
+  // One request both checks the link and gets the HTML to detect from
+  const { result, html } = await context.fetchPage(url);
+  if (!context.acceptLink(url, result)) return null;
+  if (html === null) {
+    context.noteDrop(url, "page could not be fetched");
+    return null;
+  }
+
+  const detected = detectStarlight(html);
+  if (!detected) {
+    context.noteDrop(url, "not built with Starlight");
+    return null;
+  }
+  return {
+    title: siteTitle(html) || new URL(url).hostname,
+    url,
+    description: metaDescription(html),
+    category: "showcases",
+    source: "starlight-sites",
+    validated: result.ok,
+  };
+}
+
+export const starlightSites = {
+  name: "starlight-sites",
+  provenance: ["starlight-sites"],
+  defaults: {
+    // Fetches every candidate page, so it is opt-in
+    enabled: false,
+    // Check the homepages of GitHub repositories depending on
+    // @astrojs/starlight (code search, requires GITHUB_TOKEN)
+    githubDependents: true,
+    // Result pages (of 100) read from code search
+    maxPages: 1,
+    // Additional candidate URLs
+    sites: [],
+  },
+
+  async fetch(context, options) {
+    const candidates = [...options.sites];
+    if (options.githubDependents && context.github.available) {
+      candidates.push(...(await dependentHomepages(context, options.maxPages)));
+    } else if (options.githubDependents) {
+      console.log("   ⚠️ Skipping GitHub dependents: no GITHUB_TOKEN");
+    }
+
+    const listed = new Set(
+      context.collected().map((item) => canonicalizeUrl(item.url)),
+    );
+    const urls = new Map();
+    for (const candidate of candidates.filter(Boolean)) {
+      const url = siteUrl(candidate);
+      const key = url && canonicalizeUrl(url);
+      if (!url) {
+        context.noteDrop(candidate, "invalid URL");
+      } else if (listed.has(key)) {
+        context.noteDrop(url, "deduped (already listed upstream)");
+      } else if (!urls.has(key)) {
+        urls.set(key, url);
+      }
+    }
+    console.log(`   ✓ Found ${urls.size} candidate sites`);
+
+    const items = (
+      await Promise.all(
+        [...urls.values()].map((url) => detectSite(context, url)),
+      )
+    ).filter(Boolean);
+    console.log(`   ✓ Confirmed Starlight on ${items.length} sites`);
+    return items;
+  },
+};
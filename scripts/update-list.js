@@ -1,26 +1,97 @@
 import fs from "fs/promises";
 import path from "path";
-import yaml from "js-yaml";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+import { EntryStore, entryId } from "./lib/entry-store.js";
+import { Overrides } from "./lib/overrides.js";
+import {
+  canonicalizeUrl,
+  identityKeys,
+  resolveEntities,
+} from "./lib/identity.js";
+import { HttpClient, RateLimitError } from "./lib/http.js";
+import { loadConfig } from "./lib/config.js";
+import { classifyStatus, LinkHealth } from "./lib/link-health.js";
+import { GitHubClient, repositoryOf } from "./lib/github.js";
+import { MAINTAINED_CATEGORIES, maintenanceIssues } from "./lib/maintenance.js";
+import { NpmRegistry } from "./lib/npm.js";
+import { createLlmProvider } from "./lib/llm.js";
+import {
+  assessAnswer,
+  categorize,
+  CATEGORY_KEYS,
+} from "./lib/categorization.js";
+import { CategoryCache } from "./lib/category-cache.js";
+import { classifyPlugin, PLUGIN_SUBCATEGORIES } from "./lib/subcategories.js";
+import { compatibility } from "./lib/compatibility.js";
+import { writeSite } from "./lib/site.js";
+import {
+  RECENT,
+  RECENT_TITLE,
+  renderOutput,
+  replaceBetweenMarkers,
+  resolveOutputs,
+} from "./lib/render.js";
+import {
+  buildSummaryPrompt,
+  cleanDescription,
+  isBoilerplate,
+  pageText,
+  SUMMARY_SYSTEM_PROMPT,
+  UNKNOWN_SUMMARY,
+} from "./lib/descriptions.js";
+import { metaDescription } from "./lib/starlight-detector.js";
+import {
+  automatedLines,
+  checkAnchors,
+  lintListItems,
+  readmeEntries,
+  rebuildToc,
+  sectionLines,
+} from "./lib/readme.js";
+import {
+  diffEntries,
+  renderChangelogMarkdown,
+  summaryLine,
+} from "./lib/changelog.js";
+import { enabledSources } from "./sources/index.js";
 
-const DRY_RUN = process.argv.includes("--dry-run");
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 
-const SOURCES = {
-  plugins:
-    "https://raw.githubusercontent.com/withastro/starlight/refs/heads/main/docs/src/content/docs/resources/plugins.mdx",
-  themes:
-    "https://raw.githubusercontent.com/withastro/starlight/refs/heads/main/docs/src/content/docs/resources/themes.mdx",
-  community:
-    "https://raw.githubusercontent.com/withastro/starlight/refs/heads/main/docs/src/content/docs/resources/community-content.mdx",
-  showcases:
-    "https://raw.githubusercontent.com/withastro/starlight/refs/heads/main/docs/src/components/showcase-sites.astro",
+// Requests to third-party pages (link checks, page descriptions)
+const PAGE_REQUEST = {
+  timeout: 6000,
+  headers: {
+    "User-Agent": "Mozilla/5.0 (compatible; AwesomeStarlightBot/1.0)",
+  },
 };
 
-const ASTRO_SHOWCASE_API =
-  "https://api.github.com/repos/withastro/astro.build/contents/src/content/showcase";
+export class AwesomeStarlightUpdater {
+  constructor({
+    rootDir = process.cwd(),
+    dryRun = false,
+    recategorize = false,
+    now,
+    http = new HttpClient(),
+    llm,
+    reportDir,
+  } = {}) {
+    this.rootDir = rootDir;
+    this.dryRun = dryRun;
+    // Ignore cached categorizations and ask the AI about every item again
+    this.recategorize = recategorize;
+    this.reportDir = reportDir;
+    this.now = now || new Date();
+    this.http = http;
+    this.github = new GitHubClient({
+      http,
+      token: GITHUB_TOKEN,
+      allowAnonymous: http.replaying,
+    });
+    this.npm = new NpmRegistry({ http });
+    // LLM provider; created from the `llm` config section unless given
+    this.llm = llm;
 
-class AwesomeStarlightUpdater {
-  constructor() {
     this.officialData = {
       plugins: [],
       themes: [],
@@ -30,41 +101,134 @@ class AwesomeStarlightUpdater {
       showcases: [],
     };
 
-    this.processedUrls = new Set();
+    // Link check results of this run, by URL
+    this.linkChecks = new Map();
+    // Final location of URLs that redirected during validation
+    this.redirects = new Map();
+    // Why items were dropped during this run (entry id → reason)
+    this.dropReasons = new Map();
+    // Outcome of each source adapter: { name, ok, count, error? }
+    this.sourceResults = [];
+    // Upstream headings by category, in page order (see noteSection())
+    this.sectionOrder = new Map();
+    // Categorizations waiting for a human decision, see categorizeItems()
+    this.review = [];
+    // Problems found in the generated README, see checkReadme()
+    this.readmeProblems = [];
+    // Generated files whose content changed in this run, see writeFile()
+    this.changedFiles = [];
+    // Failing links when the run started, see linkFailures()
+    this.failuresBefore = null;
+    this.changes = null;
+    this.store = null;
+    this.health = null;
+    this.overrides = null;
+    this.categories = null;
+    this.config = null;
   }
 
   // --- Utilities ---
 
-  async fetchText(url) {
-    const response = await fetch(url);
+  /**
+   * Writes `content` to `filePath` (removes it for null) and notes the file
+   * in `changedFiles` when that changes it
+   */
+  async writeFile(filePath, content) {
+    const existing = await fs.readFile(filePath, "utf-8").catch(() => null);
+    if (existing === content) return;
+    this.changedFiles.push(path.relative(this.rootDir, filePath));
+    if (content === null) {
+      await fs.rm(filePath, { force: true });
+    } else {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content, "utf-8");
+    }
+  }
+
+  async fetchText(url, options = {}) {
+    const response = await this.http.fetch(url, options);
     if (!response.ok)
       throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
     return response.text();
   }
 
+  /**
+   * Records why an item did not make it into the list, for the change report
+   */
+  noteDrop(url, reason) {
+    const id = entryId(url);
+    if (id && !this.dropReasons.has(id)) this.dropReasons.set(id, reason);
+  }
+
   // --- Enhanced Link Validation ---
 
   /**
-   * Router for validation: uses API for GitHub, standard fetch for others
+   * Router for validation: uses API for GitHub, standard fetch for others.
+   * Resolves to `{ ok, kind, status }`, see classifyStatus() for kinds.
    */
   async validateUrl(url) {
-    if (!url) return false;
+    if (!url) return { ok: false, kind: "hard", status: 0 };
 
     // Normalize URL
     url = url.trim();
 
     // Avoid re-checking the same URL in one run
-    if (this.processedUrls.has(url)) return true;
-    this.processedUrls.add(url);
+    if (!this.linkChecks.has(url)) {
+      this.linkChecks.set(url, this.checkLink(url));
+    }
+    return this.linkChecks.get(url);
+  }
+
+  async checkLink(url) {
+    const result = url.includes("github.com")
+      ? await this.checkGitHubRepo(url)
+      : await this.checkGeneralUrl(url);
+
+    // Forks and unverified checks say nothing about the link itself
+    if (["ok", "hard", "soft"].includes(result.kind)) {
+      this.health.record(url, result, this.now);
+    }
+    return result;
+  }
+
+  /**
+   * Whether an item with this link stays listed. Failing links of entries
+   * that are already on the list get a grace period (see LinkHealth).
+   */
+  acceptLink(url, result) {
+    if (result.ok) return true;
 
-    if (url.includes("github.com")) {
-      return this.checkGitHubRepo(url);
+    if (result.kind === "fork") {
+      this.noteDrop(url, "fork");
+      return false;
+    }
+
+    const listed = this.store.get(entryId(url));
+
+    // Rate limited: keep what is listed, add nothing unverified
+    if (result.kind === "unverified") {
+      if (!listed) this.noteDrop(url, "not verified (rate limited)");
+      return Boolean(listed);
+    }
+
+    if (listed && !this.health.isRemovable(url, this.now)) {
+      console.log(`   ⏳ Keeping degraded link (grace period): ${url}`);
+      return true;
     }
-    return this.checkGeneralUrl(url);
+
+    const failure = result.status ? `HTTP ${result.status}` : "unreachable";
+    const since = this.health.get(url)?.failingSince;
+    this.noteDrop(
+      url,
+      `dead link (${failure}${listed && since ? `, failing since ${since}` : ""})`,
+    );
+    return false;
   }
 
   /**
-   * Uses GitHub API to check if repo exists AND if it is a fork
+   * Uses GitHub API to check if repo exists AND if it is a fork. Answers from
+   * the GraphQL metadata prefetched by prefetchGitHubMetadata() when
+   * available, with one REST call otherwise.
    */
   async checkGitHubRepo(url) {
     try {
@@ -73,42 +237,102 @@ class AwesomeStarlightUpdater {
       if (!match) return this.checkGeneralUrl(url); // Fallback if URL is weird
 
       const [, owner, repo] = match;
-      const apiUrl = `https://api.github.com/repos/${owner}/${repo}`;
 
-      const headers = {
-        "User-Agent": "Awesome-Starlight-Updater",
-        Accept: "application/vnd.github.v3+json",
-      };
-      if (GITHUB_TOKEN) headers["Authorization"] = `token ${GITHUB_TOKEN}`;
+      const metadata = this.github.get(`${owner}/${repo}`);
+      if (metadata !== undefined) {
+        return this.checkGitHubMetadata(url, metadata);
+      }
 
-      const response = await fetch(apiUrl, { method: "GET", headers });
+      const apiUrl = `https://api.github.com/repos/${owner}/${repo}`;
+      const response = await this.http.fetch(apiUrl, {
+        method: "GET",
+        headers: this.github.headers(),
+      });
 
       if (response.status === 200) {
         const repoData = await response.json();
 
+        // Renamed or transferred repos are served from their new name
+        if (
+          repoData.full_name?.toLowerCase() !== `${owner}/${repo}`.toLowerCase()
+        ) {
+          this.redirects.set(url, repoData.html_url);
+        }
+
         // CHECK: Is it a fork?
         if (repoData.fork) {
           console.log(`   ✗ Filtered (Fork): ${owner}/${repo}`);
-          return false;
+          return { ok: false, kind: "fork", status: 200 };
         }
 
-        return true;
+        return { ok: true, kind: "ok", status: 200 };
       }
 
-      if (response.status === 404) {
-        // console.warn(`   ❌ GitHub Repo not found: ${owner}/${repo}`);
-        return false;
+      // Still rate limited after the client's retries: we know nothing about
+      // the repo, see acceptLink() for how unverified links are handled
+      if (response.status === 403 || response.status === 429) {
+        return { ok: false, kind: "unverified", status: response.status };
       }
 
-      // If rate limited (403), we assume it exists/is valid to be safe
-      // (We can't check for forks without data, so we fail open to avoid accidental deletion)
-      if (response.status === 403) return true;
-
-      return false;
+      const kind = classifyStatus(response.status);
+      return { ok: kind === "ok", kind, status: response.status };
     } catch (e) {
+      if (e instanceof RateLimitError) {
+        return { ok: false, kind: "unverified", status: 403 };
+      }
       console.warn(`   ⚠️ Error checking GitHub ${url}: ${e.message}`);
-      return false;
+      return { ok: false, kind: "soft", status: 0 };
+    }
+  }
+
+  checkGitHubMetadata(url, metadata) {
+    if (metadata === null) return { ok: false, kind: "hard", status: 404 };
+    // Disabled repositories answer 451/403 on github.com
+    if (metadata.disabled) return { ok: false, kind: "hard", status: 451 };
+
+    if (repositoryOf(url) !== metadata.repo.toLowerCase()) {
+      this.redirects.set(url, metadata.url);
     }
+    if (metadata.fork) {
+      console.log(`   ✗ Filtered (Fork): ${metadata.repo}`);
+      return { ok: false, kind: "fork", status: 200 };
+    }
+    return { ok: true, kind: "ok", status: 200 };
+  }
+
+  /**
+   * Resolves the repositories behind `urls` in batched GraphQL queries
+   */
+  async prefetchGitHubMetadata(urls) {
+    await this.github.prefetch(urls.map((url) => repositoryOf(url)));
+  }
+
+  /**
+   * Stores repository metadata on every item backed by a GitHub repository.
+   * Items linking to a renamed repository follow it to its new URL.
+   */
+  async attachGitHubMetadata() {
+    const items = Object.values(this.officialData).flat();
+    await this.prefetchGitHubMetadata(
+      items.flatMap((item) => [item.repository, item.url]).filter(Boolean),
+    );
+
+    let count = 0;
+    for (const item of items) {
+      const slug = repositoryOf(item.repository) || repositoryOf(item.url);
+      const metadata = slug && this.github.get(slug);
+      if (!metadata) continue;
+
+      item.github = metadata;
+      count++;
+      if (
+        canonicalizeUrl(item.url) === `https://github.com/${slug}` &&
+        slug !== metadata.repo.toLowerCase()
+      ) {
+        item.url = metadata.url;
+      }
+    }
+    console.log(`🐙 Attached GitHub metadata to ${count} item(s)\n`);
   }
 
   /**
@@ -116,548 +340,672 @@ class AwesomeStarlightUpdater {
    */
   async checkGeneralUrl(url) {
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 6000); // 6s timeout
-
       // 1. Try HEAD first
-      let response = await fetch(url, {
+      let response = await this.http.fetch(url, {
+        ...PAGE_REQUEST,
         method: "HEAD",
-        signal: controller.signal,
-        headers: {
-          "User-Agent": "Mozilla/5.0 (compatible; AwesomeStarlightBot/1.0)",
-        },
       });
 
       // 2. If Method Not Allowed (405) or similar, try GET
       if (response.status === 405 || response.status === 403) {
-        response = await fetch(url, {
+        response = await this.http.fetch(url, {
+          ...PAGE_REQUEST,
           method: "GET",
-          signal: controller.signal,
-          headers: {
-            "User-Agent": "Mozilla/5.0 (compatible; AwesomeStarlightBot/1.0)",
-          },
         });
       }
 
-      clearTimeout(timeoutId);
-
-      // We consider it valid if status is 2xx.
-      return response.ok;
+      return this.responseResult(url, response);
     } catch (error) {
       // console.warn(`   ⚠️ Link unreachable: ${url}`);
-      return false;
+      return this.errorResult(error);
     }
   }
 
-  // --- AI Logic ---
+  /**
+   * Link check result of a `response` to `url`, noting its redirect
+   */
+  responseResult(url, response) {
+    if (response.redirected && response.url) {
+      this.redirects.set(url, response.url);
+    }
 
-  async callGitHubModels(prompt) {
-    if (!GITHUB_TOKEN)
-      throw new Error("GITHUB_TOKEN is required for AI categorization");
+    // We consider it valid if status is 2xx.
+    const kind = response.ok ? "ok" : classifyStatus(response.status);
+    return { ok: response.ok, kind, status: response.status };
+  }
 
-    const response = await fetch(
-      "https://models.inference.ai.azure.com/chat/completions",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${GITHUB_TOKEN}`,
-        },
-        body: JSON.stringify({
-          messages: [
-            {
-              role: "system",
-              content:
-                "You are a helpful assistant that categorizes documentation resources.",
-            },
-            { role: "user", content: prompt },
-          ],
-          model: "gpt-4o",
-          temperature: 0.1,
-          max_tokens: 4000,
-        }),
-      },
-    );
+  /**
+   * Link check result of a request to a page that failed with `error`
+   */
+  errorResult(error) {
+    if (error instanceof RateLimitError) {
+      return { ok: false, kind: "soft", status: 429 };
+    }
+    return { ok: false, kind: "soft", status: 0 };
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `GitHub Models API error (${response.status}): ${errorText}`,
-      );
+  /**
+   * Fetches a third-party page once for both its link check and its HTML,
+   * as { result, html } (html is null unless the page loaded). The result
+   * is recorded like validateUrl() would.
+   */
+  async fetchPage(url) {
+    url = url.trim();
+    let result;
+    let html = null;
+    try {
+      const response = await this.http.fetch(url, PAGE_REQUEST);
+      result = this.responseResult(url, response);
+      if (response.ok) html = await response.text();
+    } catch (error) {
+      result = this.errorResult(error);
     }
 
-    const data = await response.json();
-    return data.choices[0].message.content;
+    if (!this.linkChecks.has(url)) {
+      this.linkChecks.set(url, Promise.resolve(result));
+      this.health.record(url, result, this.now);
+    }
+    return { result, html };
   }
 
-  // --- Parsers ---
+  // --- Sources ---
+
+  /**
+   * What source adapters get to work with, see scripts/sources/index.js
+   */
+  sourceContext() {
+    return {
+      http: this.http,
+      github: this.github,
+      now: this.now,
+      fetchText: (url) => this.fetchText(url),
+      fetchPage: (url) => this.fetchPage(url),
+      validateUrl: (url) => this.validateUrl(url),
+      acceptLink: (url, result) => this.acceptLink(url, result),
+      noteDrop: (url, reason) => this.noteDrop(url, reason),
+      prefetchGitHubMetadata: (urls) => this.prefetchGitHubMetadata(urls),
+      collected: () => Object.values(this.officialData).flat(),
+    };
+  }
 
-  parseLinkCard(content) {
-    const linkCardRegex = /<LinkCard\s+([^>]+)\/>/g;
-    const links = [];
-    let match;
-    while ((match = linkCardRegex.exec(content)) !== null) {
-      const attrs = match[1];
-      const href = attrs.match(/href=["']([^"']+)["']/)?.[1];
-      const title = attrs.match(/title=["']([^"']+)["']/)?.[1];
-      const desc = attrs.match(/description=["']([^"']+)["']/)?.[1];
-      if (href && title && href.startsWith("http")) {
-        links.push({
-          title: title.trim(),
-          url: href.trim(),
-          description: desc?.trim() || "",
+  /**
+   * Runs every enabled source adapter in order. A failing adapter does not
+   * abort the run: the entries it contributed last time are carried over.
+   */
+  async collectSources() {
+    const sources = enabledSources(this.config.sources);
+    const context = this.sourceContext();
+    const uncategorized = [];
+
+    for (const [i, { adapter, options }] of sources.entries()) {
+      console.log(`📥 Step 1.${i + 1}: Fetching ${adapter.name}...`);
+      let items;
+      try {
+        items = await adapter.fetch(context, options);
+        this.sourceResults.push({
+          name: adapter.name,
+          ok: true,
+          count: items.length,
+        });
+        console.log(`   ✓ ${items.length} item(s) from ${adapter.name}\n`);
+      } catch (error) {
+        items = this.carryOver(adapter);
+        this.sourceResults.push({
+          name: adapter.name,
+          ok: false,
+          error: error.message,
+          count: items.length,
         });
+        console.error(
+          `   ❌ ${adapter.name} failed: ${error.message}\n   ↩️ Carrying over ${items.length} entr(ies) from the previous run\n`,
+        );
       }
-    }
-    return links;
-  }
 
-  parseCardComponent(content) {
-    const cardRegex = /<Card\s+([^>]+)\/>/g;
-    const cards = [];
-    let match;
-    while ((match = cardRegex.exec(content)) !== null) {
-      const attrs = match[1];
-      const title = attrs.match(/title=["']([^"']+)["']/)?.[1];
-      const href = attrs.match(/href=["']([^"']+)["']/)?.[1];
-      if (title && href) {
-        cards.push({ title: title.trim(), url: href.trim(), description: "" });
+      for (const item of items) {
+        if (item.category) this.officialData[item.category].push(item);
+        else uncategorized.push(item);
+        if (item.category && item.section) {
+          this.noteSection(item.category, item.section);
+        }
       }
     }
-    return cards;
+
+    if (sources.length > 0 && this.sourceResults.every((r) => !r.ok)) {
+      throw new Error("Every source failed, refusing to update.");
+    }
+
+    const categorized = await this.categorizeItems(uncategorized);
+    for (const [category, items] of Object.entries(categorized)) {
+      this.officialData[category].push(...items);
+    }
   }
 
-  parseThemeGrid(content) {
-    const themesMatch = content.match(
-      /themes=\{?\[(\s*\{[\s\S]*?\}\s*,?\s*)+\]\}?/,
+  /**
+   * Starts a store that was never saved from the entries the README lists
+   * already, so the first run treats them as listed (link grace period,
+   * answers held for review) instead of as new finds. Only the category
+   * sections are read: entries listed as unmaintained are not imported.
+   */
+  async importReadme() {
+    if (this.store.updatedAt !== null || this.store.entries.size > 0) return;
+    const target = resolveOutputs(this.config.outputs).find(
+      (t) => t.name === "readme",
     );
-    if (!themesMatch) return [];
-    const themes = [];
-    const themeRegex =
-      /\{\s*title:\s*['"]([^'"]+)['"],\s*description:\s*['"]([^'"]*?)['"],\s*href:\s*['"]([^'"]+)['"]/g;
-    let match;
-    while ((match = themeRegex.exec(themesMatch[0])) !== null) {
-      themes.push({
-        title: match[1].trim(),
-        description: match[2].trim(),
-        url: match[3].trim(),
-      });
+    if (!target) return;
+
+    let markdown;
+    try {
+      markdown = await fs.readFile(
+        path.resolve(this.rootDir, target.file),
+        "utf-8",
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      throw error;
     }
-    return themes;
+    const listed = readmeEntries(markdown);
+    const items = Object.values(listed).flat();
+    if (items.length === 0) return;
+    for (const item of items) item.source = "readme";
+    this.store.merge(listed, this.now);
+    console.log(
+      `📥 Imported ${this.store.entries.size} entr(ies) listed in ${target.file}\n`,
+    );
   }
 
-  parseYouTubeGrid(content) {
-    const videosMatch = content.match(
-      /videos=\{?\[(\s*\{[\s\S]*?\}\s*,?\s*)+\]\}?/g,
+  /**
+   * Keeps listing the stored entries no source returned this time without a
+   * reason to drop them (a search coming back short, a page briefly missing
+   * an item) for `health.missingDays` days after the first run that missed
+   * them. They keep their firstSeen, so they do not come back as new.
+   * Entries matching a collected item on another key (its repository or
+   * package, such as one imported from the README under a different URL)
+   * are not missing.
+   */
+  keepMissingEntries() {
+    const collected = new Set(
+      Object.entries(this.officialData).flatMap(([category, items]) =>
+        items.flatMap((item) => identityKeys(item, category)),
+      ),
     );
-    if (!videosMatch) return [];
-    const allVideos = [];
-    for (const videoBlock of videosMatch) {
-      const videoRegex =
-        /\{\s*href:\s*['"]([^'"]+)['"],\s*title:\s*['"]([^'"]+)['"],\s*description:\s*['"]([^'"]*?)['"]/g;
-      let match;
-      while ((match = videoRegex.exec(videoBlock)) !== null) {
-        allVideos.push({
-          title: match[2].trim(),
-          url: match[1].trim(),
-          description: match[3].trim(),
-        });
+    const today = this.now.toISOString().slice(0, 10);
+    let kept = 0;
+
+    for (const entry of this.store.entries.values()) {
+      if (this.dropReasons.has(entry.id)) continue;
+      if (identityKeys(entry, entry.category).some((k) => collected.has(k))) {
+        continue;
+      }
+      if (!this.officialData[entry.category]) continue;
+
+      const missingSince = entry.missingSince || today;
+      const days = (this.now - new Date(missingSince)) / (24 * 60 * 60 * 1000);
+      if (days > this.config.health.missingDays) {
+        this.noteDrop(
+          entry.url,
+          `not found by any source since ${missingSince}`,
+        );
+        continue;
       }
+      const { id, firstSeen, lastValidated, ...item } = entry;
+      this.officialData[entry.category].push({ ...item, missingSince });
+      kept++;
+    }
+    if (kept > 0) {
+      console.log(
+        `⏳ Keeping ${kept} entr(ies) no source returned this time\n`,
+      );
     }
-    return allVideos;
   }
 
-  // --- Data Fetching ---
-
-  async fetchOfficialSources() {
-    console.log("📥 Step 1: Fetching official Starlight sources...");
-
-    const [plugins, themes, communityData, showcases] = await Promise.all([
-      this.fetchText(SOURCES.plugins).then((c) => this.parseLinkCard(c)),
-      this.fetchText(SOURCES.themes).then((c) => this.parseThemeGrid(c)),
-      this.fetchText(SOURCES.community).then(async (c) => ({
-        articles: this.parseLinkCard(c),
-        videos: this.parseYouTubeGrid(c),
-      })),
-      this.fetchText(SOURCES.showcases).then((c) => this.parseCardComponent(c)),
-    ]);
-
-    this.officialData = {
-      plugins,
-      themes,
-      tools: [],
-      videos: communityData.videos,
-      articles: communityData.articles,
-      showcases,
-    };
+  /**
+   * Remembers the upstream headings of `category` in page order, which the
+   * README sections follow
+   */
+  noteSection(category, section) {
+    const order = this.sectionOrder.get(category) || [];
+    if (!order.includes(section)) order.push(section);
+    this.sectionOrder.set(category, order);
+  }
 
-    const count =
-      plugins.length +
-      themes.length +
-      communityData.articles.length +
-      communityData.videos.length +
-      showcases.length;
-    console.log(`   ✓ Fetched ${count} official items\n`);
+  /**
+   * Stored entries an adapter contributed, as items for this run
+   */
+  carryOver(adapter) {
+    const fromAdapter = (entry) =>
+      adapter.provenance.some((prefix) => entry.source.startsWith(prefix));
+
+    return [...this.store.entries.values()].filter(fromAdapter).map((entry) => {
+      // Store bookkeeping and derived fields are worked out again
+      const {
+        id,
+        firstSeen,
+        lastValidated,
+        unmaintained,
+        compatibility,
+        ...item
+      } = entry;
+      return item;
+    });
   }
 
-  async fetchAstroShowcase() {
-    console.log("🔭 Step 1.5: Fetching Astro Showcase sites...");
+  // --- Categorization ---
 
-    const headers = {
-      "User-Agent": "Awesome-Starlight-Updater",
-      Accept: "application/vnd.github.v3+json",
-    };
-    if (GITHUB_TOKEN) headers["Authorization"] = `token ${GITHUB_TOKEN}`;
+  /**
+   * Sorts `items` into plugins, themes and tools with the configured LLM.
+   * Results flagged for review (low confidence, failed AI call, optionally
+   * disagreement with the keyword rules) are only listed when an override settles their
+   * category or the entry is already listed; the others wait in
+   * data/review.json. Answers are cached in data/categories.json, so only
+   * new or changed items are sent (all of them with --recategorize).
+   */
+  async categorizeItems(items) {
+    console.log(
+      `🤖 Step 2: Categorizing items with AI (${this.llm.name}, ${this.llm.model})...`,
+    );
+    const categorized = { plugins: [], themes: [], tools: [] };
+    if (items.length === 0) return categorized;
+
+    // Unchanged items keep their previous answer unless asked otherwise
+    const options = this.config.categorization;
+    const results = [];
+    const pending = [];
+    for (const item of items) {
+      const cached =
+        !this.recategorize && this.categories.lookup(item, this.now);
+      if (cached) results.push(assessAnswer(item, cached, options));
+      else pending.push(item);
+    }
+    console.log(
+      `   ♻️ Reusing ${results.length} cached categorization(s), asking AI for ${pending.length}`,
+    );
 
-    try {
-      const response = await fetch(ASTRO_SHOWCASE_API, { headers });
-      if (!response.ok) return [];
-
-      const files = await response.json();
-      const ymlFiles = files.filter((file) => file.name.endsWith(".yml"));
-
-      const promises = ymlFiles.map(async (file) => {
-        try {
-          const contentRes = await fetch(file.download_url);
-          const data = yaml.load(await contentRes.text());
-
-          if (data.categories?.includes("starlight")) {
-            const site = { title: data.title, url: data.url, description: "" };
-
-            // VALIDATION CHECK (404s + Forks)
-            const isValid = await this.validateUrl(site.url);
-            if (!isValid) {
-              console.log(`   ✗ Skipping invalid/fork/dead link: ${site.url}`);
-              return null;
-            }
-            return site;
-          }
-        } catch (err) {}
-        return null;
-      });
+    if (pending.length > 0) {
+      for (const result of await categorize(this.llm, pending, options)) {
+        // Keyword fallbacks after a failed call are asked again next time
+        if (result.confidence !== null) {
+          this.categories.remember(result.item, result, this.now);
+        }
+        results.push(result);
+      }
+    }
 
-      const results = await Promise.all(promises);
-      const newSites = results.filter(Boolean);
-      console.log(
-        `   ✓ Found ${newSites.length} valid sites from Astro Showcase\n`,
-      );
-      return newSites;
-    } catch (error) {
-      console.error(`   ❌ Failed to fetch Astro showcases: ${error.message}`);
-      return [];
+    for (const result of results) {
+      const { item, review } = result;
+      let category = CATEGORY_KEYS[result.category];
+
+      if (review && !this.overrides.resolvesCategory(item)) {
+        const listed = this.store.get(entryId(item.url));
+        this.review.push({
+          title: item.title,
+          url: item.url,
+          ...(item.package && { package: item.package }),
+          source: item.source,
+          suggested: result.category,
+          confidence: result.confidence,
+          rationale: result.rationale,
+          keywords: result.keywords,
+          reason: review,
+          ...(listed && { listedAs: listed.category }),
+        });
+        if (!listed) {
+          this.noteDrop(item.url, `held for review: ${review}`);
+          continue;
+        }
+        // Already accepted once: keep it where it is until someone decides
+        category = listed.category;
+      }
+      (categorized[category] ||= []).push(item);
     }
-  }
 
-  async searchNPM(query) {
-    const response = await fetch(
-      `https://registry.npmjs.org/-/v1/search?text=${encodeURIComponent(query)}&size=250`,
+    console.log(
+      `   ✓ AI Categorized: ${categorized.plugins.length} plugins, ${categorized.themes.length} themes, ${categorized.tools.length} tools, ${this.review.length} for review\n`,
     );
-    if (!response.ok) throw new Error(`NPM search error`);
-    return response.json();
+    return categorized;
   }
 
-  async fetchSupplementaryNPM() {
-    console.log("📦 Step 2: Fetching supplementary NPM packages...");
-    const searches = ["starlight-", "@astrojs/starlight"];
-    const allPackages = new Map();
+  // --- Execution & Formatting ---
 
-    for (const query of searches) {
-      const results = await this.searchNPM(query);
-      for (const pkg of results.objects) {
-        const name = pkg.package.name;
-        // Only valid if name actually implies starlight or is scoped to it
-        if (
-          name.includes("starlight") ||
-          name.startsWith("@astrojs/starlight")
-        ) {
-          allPackages.set(name, {
-            name: pkg.package.name,
-            description: pkg.package.description || "",
-            homepage:
-              pkg.package.links?.homepage || pkg.package.links?.repository,
-            keywords: pkg.package.keywords || [],
-          });
-        }
-      }
+  sortByPackageName(name) {
+    name = (name || "").trim().toLowerCase();
+    if (name.startsWith("@")) {
+      const parts = name.split("/");
+      return parts.length > 1 ? parts[1] : name;
     }
-    const packages = Array.from(allPackages.values());
-    console.log(`   ✓ Found ${packages.length} raw NPM candidates\n`);
-    return packages;
+    return name;
   }
 
-  // --- Filtering & Categorization ---
-
-  isDuplicate(newItem, officialItem) {
-    // 1. Check URL Match
-    const newUrl = (newItem.url || newItem.homepage || "")
-      .toLowerCase()
-      .replace(/\/$/, "");
-    const officialUrl = (officialItem.url || "")
-      .toLowerCase()
-      .replace(/\/$/, "");
-    if (newUrl && officialUrl && newUrl === officialUrl) return true;
+  get storePath() {
+    return path.join(this.rootDir, "data", "entries.json");
+  }
 
-    // 2. Check Repo Name Match
-    const getRepo = (u) => u?.match(/github\.com\/[^/]+\/([^/#?]+)/)?.[1];
-    const newRepo = getRepo(newItem.url || newItem.homepage);
-    const officialRepo = getRepo(officialItem.url);
-    if (newRepo && officialRepo && newRepo === officialRepo) return true;
+  get healthPath() {
+    return path.join(this.rootDir, "data", "link-health.json");
+  }
 
-    return false;
+  get overridesPath() {
+    return path.join(this.rootDir, "data", "overrides.yml");
   }
 
-  isSameTitle(newItem, officialItem) {
-    const normalize = (t) => (t || "").trim().toLowerCase();
-    return normalize(newItem.title) && normalize(newItem.title) === normalize(officialItem.title);
+  get categoriesPath() {
+    return path.join(this.rootDir, "data", "categories.json");
   }
 
-  normalizeThemeKey(input) {
-    return (input || "")
-      .toLowerCase()
-      .replace(/https?:\/\/(www\.)?/g, "")
-      .replace(/starlight/g, "")
-      .replace(/theme/g, "")
-      .replace(/astro/g, "")
-      .replace(/docs?/g, "")
-      .replace(/[\s._-]+/g, "")
-      .replace(/[^a-z0-9]/g, "")
-      .trim();
+  get reviewPath() {
+    return path.join(this.rootDir, "data", "review.json");
   }
 
-  extractRepoSlug(url) {
-    return url?.match(/github\.com\/[^/]+\/([^/#?]+)/)?.[1] || "";
+  /**
+   * Single entity-resolution pass over every category: items sharing a
+   * canonical URL, repository or npm package become one entry.
+   */
+  resolveDuplicates() {
+    const before = Object.values(this.officialData).flat().length;
+    this.officialData = resolveEntities(this.officialData, {
+      redirects: this.redirects,
+    });
+    const after = Object.values(this.officialData).flat().length;
+    for (const item of Object.values(this.officialData).flat()) {
+      for (const url of item.mergedFrom || []) {
+        this.noteDrop(url, `deduped (merged into ${item.title})`);
+      }
+    }
+    console.log(`🧬 Merged ${before - after} duplicate item(s)\n`);
   }
 
-  isLikelySameTheme(a, b) {
-    // Compare by normalized titles and repo slugs to catch doc site vs repo URL cases
-    const keyA = this.normalizeThemeKey(a.title);
-    const keyB = this.normalizeThemeKey(b.title);
-    const repoKeyA = this.normalizeThemeKey(
-      this.extractRepoSlug(a.url || a.homepage || a.repo),
-    );
-    const repoKeyB = this.normalizeThemeKey(
-      this.extractRepoSlug(b.url || b.homepage || b.repo),
-    );
+  applyOverrides(overrides) {
+    console.log("✍️  Step 3: Applying manual overrides...");
+    this.officialData = overrides.apply(this.officialData);
 
-    const keysEqual = (x, y) => x && y && (x === y || x.includes(y) || y.includes(x));
+    for (const { item, rule } of overrides.excluded) {
+      const reason = rule.reason ? `: ${rule.reason}` : "";
+      this.noteDrop(item.url, `excluded by overrides${reason}`);
+    }
 
-    return (
-      keysEqual(keyA, keyB) ||
-      keysEqual(keyA, repoKeyB) ||
-      keysEqual(keyB, repoKeyA) ||
-      (repoKeyA && repoKeyB && keysEqual(repoKeyA, repoKeyB))
+    const unused = overrides.unused();
+    for (const rule of unused) {
+      console.warn(`   ⚠️ Unused override (stale?): ${rule}`);
+    }
+    console.log(
+      `   ✓ Applied ${overrides.used.size} override(s), ${unused.length} unused\n`,
     );
   }
 
-  async filterSupplementaryPackages(packages) {
-    console.log("🔍 Step 3: Filtering & Validating packages...");
-
-    const allOfficialItems = [
-      ...this.officialData.plugins,
-      ...this.officialData.themes,
-      ...this.officialData.tools,
-      ...this.officialData.videos,
-      ...this.officialData.articles,
-      ...this.officialData.showcases,
-    ];
-
-    const validatedPackages = [];
-
-    for (const pkg of packages) {
-      const pkgItem = { name: pkg.name, url: pkg.homepage };
-
-      // 1. Deduplication
-      if (allOfficialItems.some((off) => this.isDuplicate(pkgItem, off)))
-        continue;
+  /**
+   * Gives entries without a usable description (see isBoilerplate()) the
+   * description of their GitHub repository, else the meta description of
+   * their page, else an LLM summary of it (with `descriptions.llm`). What
+   * was found is kept in the store with its `descriptionSource`, so pages
+   * are only fetched (and summarized) once. Descriptions set in
+   * data/overrides.yml (`descriptionSource: "override"`) are final, even
+   * when empty. Every description is then cleaned up.
+   */
+  async resolveDescriptions() {
+    console.log("📝 Step 3.1: Backfilling descriptions...");
+    const options = this.config.descriptions;
+    const counts = { github: 0, page: 0, ai: 0, stored: 0 };
 
-      // 2. TIGHTENED RELEVANCE CHECK
-      const text =
-        `${pkg.name} ${pkg.description} ${pkg.keywords.join(" ")}`.toLowerCase();
+    const final = (item) =>
+      item.descriptionSource === "override" ||
+      !isBoilerplate(item.description, item);
 
-      const isOfficialScope = pkg.name.startsWith("@astrojs/");
-      const mentionsAstro = text.includes("astro");
-      const mentionsStarlight = text.includes("starlight");
+    const resolve = async ([category, item]) => {
+      if (final(item)) return;
 
-      // Rule: If it's not in @astrojs scope, it MUST mention 'astro' explicitly.
-      if (!isOfficialScope && !mentionsAstro) {
-        // console.log(`   ✗ Filtered (Not Astro related): ${pkg.name}`);
-        continue;
+      if (!isBoilerplate(item.github?.description, item)) {
+        counts.github++;
+        return { description: item.github.description, source: "github" };
       }
 
-      // Rule: Must verify 'starlight' relevance
-      if (!mentionsStarlight && !pkg.name.includes("starlight")) {
-        continue;
+      const previous = this.store.get(entryId(item.url));
+      if (
+        previous?.descriptionSource &&
+        previous.descriptionSource !== "override"
+      ) {
+        counts.stored++;
+        return {
+          description: previous.description,
+          source: previous.descriptionSource,
+        };
+      }
+      if (!options.fetchPages || item.url.includes("github.com")) return;
+      // Pages of failing links (kept during their grace period) are skipped
+      const check = await this.linkChecks.get(item.url);
+      if (check && !check.ok) return;
+
+      let html;
+      try {
+        html = await this.fetchText(item.url, PAGE_REQUEST);
+      } catch {
+        return;
+      }
+      const meta = metaDescription(html);
+      if (!isBoilerplate(meta, item)) {
+        counts.page++;
+        return { description: meta, source: "page" };
       }
 
-      // 3. DEAD LINK & FORK CHECK
-      const isValidLink = await this.validateUrl(pkg.homepage);
-      if (!isValidLink) {
-        // console.log(`   ✗ Filtered (Invalid/Fork/Dead): ${pkg.name}`);
-        continue;
+      const text = pageText(html);
+      if (!options.llm || !text) return;
+      try {
+        const reply = (
+          await this.llm.complete({
+            system: SUMMARY_SYSTEM_PROMPT,
+            prompt: buildSummaryPrompt(item, category, text),
+          })
+        ).trim();
+        if (
+          reply.includes(UNKNOWN_SUMMARY) ||
+          /[{}\n]/.test(reply) ||
+          isBoilerplate(reply, item)
+        ) {
+          return;
+        }
+        counts.ai++;
+        return { description: reply, source: "ai" };
+      } catch (error) {
+        console.warn(
+          `   ⚠️ Summary failed for ${item.title}: ${error.message}`,
+        );
       }
+    };
 
-      validatedPackages.push(pkg);
-    }
+    // The category is not set on items categorized by AI yet
+    const listed = Object.entries(this.officialData).flatMap(
+      ([category, items]) => items.map((item) => [category, item]),
+    );
+    const resolved = await Promise.all(listed.map(resolve));
+    const items = listed.map(([, item]) => item);
+    items.forEach((item, i) => {
+      if (resolved[i]) {
+        item.description = resolved[i].description;
+        item.descriptionSource = resolved[i].source;
+      } else if (!final(item)) {
+        item.description = "";
+      }
+      item.description = cleanDescription(item.description, options.maxLength);
+    });
 
+    const missing = items.filter((item) => !item.description).length;
     console.log(
-      `   ✓ Kept ${validatedPackages.length} packages after strict filtering\n`,
+      `   ✓ ${counts.github} from GitHub, ${counts.page} from page metadata, ${counts.ai} summarized by AI, ${counts.stored} from earlier runs; ${missing} still without\n`,
     );
-    return validatedPackages;
   }
 
-  async categorizeSupplementary(packages) {
-    console.log("🤖 Step 4: Categorizing packages with AI...");
+  /**
+   * Files every plugin under a subcategory (see scripts/lib/subcategories.js)
+   * unless an override already did
+   */
+  classifyPlugins() {
+    console.log("🗂️  Step 3.2: Sorting plugins into subcategories...");
+    const counts = new Map();
+    for (const item of this.officialData.plugins) {
+      item.subcategory ||= classifyPlugin(item);
+      counts.set(item.subcategory, (counts.get(item.subcategory) || 0) + 1);
+    }
+    const summary = PLUGIN_SUBCATEGORIES.filter(({ key }) => counts.has(key))
+      .map(({ key, title }) => `${counts.get(key)} ${title}`)
+      .join(", ");
+    console.log(`   ✓ ${summary || "No plugins"}\n`);
+  }
 
-    if (packages.length === 0) return { plugins: [], themes: [], tools: [] };
+  /**
+   * Fetches npm metadata of the plugins, themes and tools published as a
+   * package (with their weekly downloads when a README section shows them)
+   * and works out which Starlight and Astro releases they support.
+   * With `compatibility.latestOnly`, items excluding the current Starlight
+   * release are dropped.
+   */
+  async checkCompatibility() {
+    console.log("🧩 Step 4: Checking Starlight compatibility...");
+    const items = MAINTAINED_CATEGORIES.flatMap(
+      (category) => this.officialData[category],
+    );
+    const withDownloads = Object.values(this.config.rendering).some(
+      ({ fields }) => fields.includes("downloads"),
+    );
 
-    const itemsList = packages
-      .map(
-        (pkg, i) => `${i}. ${pkg.name} | ${pkg.homepage} | ${pkg.description}`,
-      )
-      .join("\n");
+    const [starlight, astro] = await Promise.all([
+      this.npm.releases("@astrojs/starlight"),
+      this.npm.releases("astro"),
+      ...items
+        .filter((item) => item.package)
+        .map(async (item) => {
+          const [metadata, downloads] = await Promise.all([
+            this.npm.metadata(item.package),
+            withDownloads && this.npm.weeklyDownloads(item.package),
+          ]);
+          if (metadata) item.npm = metadata;
+          if (metadata && typeof downloads === "number")
+            item.npm.weeklyDownloads = downloads;
+        }),
+    ]);
+    this.starlightVersion = starlight?.latest;
+
+    const releases = { "@astrojs/starlight": starlight, astro };
+    for (const item of items) {
+      const supported = {};
+      for (const [name, range] of Object.entries(item.npm?.peers || {})) {
+        if (releases[name])
+          supported[name] = compatibility(range, releases[name]);
+      }
+      if (Object.keys(supported).length > 0) item.compatibility = supported;
+    }
 
-    try {
-      // PRECISE INSTRUCTIONS (DO NOT MODIFY)
-      const prompt = `Categorize these Starlight-related NPM packages into ONE category each.
-
-CATEGORIES:
-
-**themes** - Visual themes/styling presets
-- Pattern: "starlight-theme-*"
-- Examples: "starlight-theme-rapide", "starlight-theme-galaxy"
-- Must be for visual appearance only
-
-**plugins** - Starlight plugins (injected via plugins array)
-- For END USERS of Starlight
-- Extends Starlight functionality
-- Examples: "starlight-blog", "starlight-openapi", "starlight-image-zoom"
-
-**tools** - Development tools (NOT injected as plugins)
-- For DEVELOPERS/AUTHORS, not end users
-- VS Code extensions, CLI tools, generators
-- CRITICAL EXAMPLES:
-  * "starlight-i18n" = tool (VS Code extension)
-  * "@hideoo/starlight-plugin" = tool (generator)
-  * "generator-starlight-plugin" = tool
-  * "starlight-to-pdf" = tool (CLI)
-
-RULES:
-- If it's a VS Code extension → tool
-- If it's for plugin authors → tool
-- If it's a CLI utility → tool
-- If name has "theme" → theme
-- Otherwise → plugin
-
-Packages (format: ID | name | url | description):
-${itemsList}
-
-Respond with ONLY a JSON object:
-{
-  "0": "plugin",
-  "1": "theme",
-  "2": "tool",
-  ...
-}`;
-
-      const responseText = await this.callGitHubModels(prompt);
-      const jsonMatch = responseText.match(/\{[\s\S]*?\}/);
-
-      if (!jsonMatch) return this.fallbackCategorization(packages);
-
-      const categorization = JSON.parse(jsonMatch[0]);
-      const categorized = { plugins: [], themes: [], tools: [] };
-
-      packages.forEach((pkg, i) => {
-        const category =
-          categorization[i] || categorization[String(i)] || "plugin";
-        const item = {
-          title: pkg.name,
-          url: pkg.homepage,
-          description: pkg.description,
-        };
+    const isIncompatible = (item) =>
+      item.compatibility?.["@astrojs/starlight"]?.latest === false;
+    const incompatible = items.filter(isIncompatible);
 
-        if (category.includes("theme")) categorized.themes.push(item);
-        else if (category.includes("tool")) categorized.tools.push(item);
-        else categorized.plugins.push(item);
-      });
+    if (this.config.compatibility.latestOnly) {
+      for (const category of MAINTAINED_CATEGORIES) {
+        this.officialData[category] = this.officialData[category].filter(
+          (item) => !isIncompatible(item),
+        );
+      }
+      for (const item of incompatible) {
+        this.noteDrop(
+          item.url,
+          `incompatible with @astrojs/starlight ${this.starlightVersion}`,
+        );
+      }
+    }
 
-      console.log(
-        `   ✓ AI Categorized: ${categorized.plugins.length} plugins, ${categorized.themes.length} themes, ${categorized.tools.length} tools\n`,
-      );
-      return categorized;
-    } catch (error) {
-      console.error("   ✗ AI failed, using fallback:", error.message);
-      return this.fallbackCategorization(packages);
+    const declared = items.filter((item) => item.compatibility).length;
+    console.log(
+      `   ✓ ${declared} item(s) declare compatibility, ${incompatible.length} exclude Starlight ${this.starlightVersion ?? "(unknown)"}\n`,
+    );
+  }
+
+  /**
+   * Flags plugins, themes and tools that fail the maintenance rules (archived,
+   * inactive, no recent release, incompatible with current Starlight). They
+   * stay in the store but are rendered in their own section.
+   */
+  async assessMaintenance() {
+    console.log("🧹 Step 5: Checking maintenance status...");
+    const rules = this.config.maintenance;
+    const items = MAINTAINED_CATEGORIES.flatMap(
+      (category) => this.officialData[category],
+    );
+
+    let count = 0;
+    for (const item of items) {
+      const issues = maintenanceIssues(item, rules, {
+        now: this.now,
+        starlightVersion: this.starlightVersion,
+      });
+      if (issues.length === 0) continue;
+      item.unmaintained = issues;
+      count++;
+      console.log(`   ⚠ Unmaintained: ${item.title} (${issues.join(", ")})`);
     }
+    console.log(`   ✓ ${count} unmaintained item(s)\n`);
   }
 
-  fallbackCategorization(packages) {
-    const categorized = { plugins: [], themes: [], tools: [] };
-    packages.forEach((pkg) => {
-      const text = `${pkg.name} ${pkg.description}`.toLowerCase();
-      const item = {
-        title: pkg.name,
-        url: pkg.homepage,
-        description: pkg.description,
-      };
-
-      if (text.includes("theme") || pkg.name.includes("theme"))
-        categorized.themes.push(item);
-      else if (
-        text.includes("vscode") ||
-        text.includes("cli") ||
-        text.includes("generator")
-      )
-        categorized.tools.push(item);
-      else categorized.plugins.push(item);
-    });
-    return categorized;
+  /**
+   * Listed entries whose link currently fails
+   */
+  degradedLinks() {
+    return this.health
+      .degraded()
+      .filter((link) => this.store.get(entryId(link.url)));
   }
 
-  // --- Execution & Formatting ---
+  /**
+   * Failure streaks of the checked links: they decide when entries are
+   * removed, so a change must be kept even when no entry changed
+   */
+  linkFailures() {
+    return JSON.stringify(
+      this.health
+        .degraded()
+        .map(({ url, consecutiveFailures, failingSince }) => [
+          url,
+          consecutiveFailures,
+          failingSince,
+        ]),
+    );
+  }
 
-  sortByPackageName(name) {
-    name = (name || "").trim().toLowerCase();
-    if (name.startsWith("@")) {
-      const parts = name.split("/");
-      return parts.length > 1 ? parts[1] : name;
-    }
-    return name;
+  /**
+   * Whether this run changed anything worth committing: entries, generated
+   * files (README, feeds, the review queue) or failing links. The data files
+   * themselves change on every run, if only their validation dates.
+   */
+  hasChanges() {
+    return (
+      Object.values(this.changes).some((list) => list.length > 0) ||
+      this.changedFiles.length > 0 ||
+      this.linkFailures() !== this.failuresBefore
+    );
   }
 
   async collectAllData() {
     console.log("🚀 Starting update process...\n");
 
-    await this.fetchOfficialSources();
-
-    // Merge Astro Showcases
-    const astroShowcases = await this.fetchAstroShowcase();
-    for (const site of astroShowcases) {
-      if (
-        !this.officialData.showcases.some((ex) => this.isDuplicate(site, ex))
-      ) {
-        this.officialData.showcases.push(site);
-      }
-    }
-
-    // NPM processing
-    const npmPackages = await this.fetchSupplementaryNPM();
-    const filtered = await this.filterSupplementaryPackages(npmPackages);
-    const categorized = await this.categorizeSupplementary(filtered);
-
-    this.officialData.plugins.push(...categorized.plugins);
-    // Avoid adding theme entries already present in official themes list (often demo URLs vs. GitHub repos)
-    const newThemes = categorized.themes.filter(
-      (theme) =>
-        !this.officialData.themes.some(
-          (existing) =>
-            this.isDuplicate(theme, existing) ||
-            this.isSameTitle(theme, existing) ||
-            this.isLikelySameTheme(theme, existing),
-        ),
-    );
-    this.officialData.themes.push(...newThemes);
-    this.officialData.tools.push(...categorized.tools);
+    this.config = await loadConfig(this.rootDir);
+    this.http.configure(this.config.http);
+    this.llm ||= createLlmProvider(this.config.llm, {
+      http: this.http,
+      allowMissingKey: this.http.replaying,
+    });
+    this.store = await EntryStore.load(this.storePath);
+    await this.importReadme();
+    this.health = await LinkHealth.load(this.healthPath, this.config.health);
+    this.failuresBefore = this.linkFailures();
+    this.categories = await CategoryCache.load(this.categoriesPath);
+    this.overrides = await Overrides.load(this.overridesPath);
+
+    await this.collectSources();
+    this.resolveDuplicates();
+    await this.attachGitHubMetadata();
+
+    this.applyOverrides(this.overrides);
+    await this.resolveDescriptions();
+    this.classifyPlugins();
+    await this.checkCompatibility();
+    await this.assessMaintenance();
+    this.keepMissingEntries();
 
     // Sorting
     for (const key of Object.keys(this.officialData)) {
@@ -667,87 +1015,236 @@ Respond with ONLY a JSON object:
         ),
       );
     }
+
+    const previous = new Map(this.store.entries);
+    this.store.merge(this.officialData, this.now);
+    this.changes = diffEntries(previous, this.store.entries, this.dropReasons);
+    console.log(`📊 ${summaryLine(this.changes)}`);
+
+    this.health.prune(this.now);
+    this.categories.prune(this.now);
+    const degraded = this.degradedLinks();
+    console.log(`🩺 ${degraded.length} degraded link(s)\n`);
   }
 
-  formatMarkdownItem(item) {
-    if (!item.title || !item.url) return null;
-    return `- [${item.title}](${item.url})${item.description ? ` - ${item.description}` : ""}`;
+  /**
+   * Rebuilds the table of contents of the complete `readme` and collects its
+   * problems (see scripts/lib/readme.js) in `readmeProblems`: broken
+   * anchors, awesome-list rule violations and failing links in the
+   * hand-written sections. Returns the README to write; with `readme.strict`
+   * any problem fails the run.
+   */
+  async checkReadme(readme, target) {
+    console.log("🔎 Checking README.md...");
+    const options = this.config.readme;
+    if (options.tableOfContents) {
+      readme = rebuildToc(readme, { exclude: options.tocExclude });
+    }
+
+    const automated = automatedLines(readme);
+    const isAutomated = (line) =>
+      Boolean(automated) && line > automated.from && line < automated.to;
+    // Automated items are judged by their stored description, without the
+    // compatibility and metadata rendered after it
+    const descriptionOf = (item) =>
+      isAutomated(item.line)
+        ? (this.store.get(entryId(item.url))?.description ?? item.description)
+        : item.description;
+
+    // Recently added entries are listed again in their category
+    const recent = target.sections.find(({ category }) => category === RECENT);
+    const recentLines =
+      recent && sectionLines(readme, recent.title || RECENT_TITLE);
+    const repeats = (item) =>
+      Boolean(recentLines) &&
+      isAutomated(item.line) &&
+      item.line >= recentLines.from &&
+      item.line <= recentLines.to;
+
+    const problems = [
+      ...checkAnchors(readme),
+      ...lintListItems(readme, { descriptionOf, repeats }),
+    ];
+    if (options.checkManualLinks) {
+      problems.push(...(await this.checkManualLinks(readme, isAutomated)));
+    }
+    problems.sort((a, b) => a.line - b.line);
+    this.readmeProblems = problems;
+
+    for (const { line, message } of problems) {
+      console.warn(`   ⚠️ README.md:${line}: ${message}`);
+    }
+    console.log(`   ✓ ${problems.length} problem(s)\n`);
+    if (options.strict && problems.length > 0) {
+      throw new Error(`README.md has ${problems.length} problem(s)`);
+    }
+    return readme;
   }
 
-  generateMarkdown() {
-    const sections = [];
-    const addSection = (title, items, desc = "") => {
-      if (items.length > 0) {
-        const md = items
-          .map((i) => this.formatMarkdownItem(i))
-          .filter(Boolean)
-          .join("\n");
-        sections.push(`## ${title}\n\n${desc}${md}`);
+  /**
+   * Problems of the web links outside the automated sections of `readme`,
+   * checked like list entries (see validateUrl())
+   */
+  async checkManualLinks(readme, isAutomated) {
+    const links = new Map();
+    readme.split("\n").forEach((text, i) => {
+      if (isAutomated(i + 1)) return;
+      for (const [, url] of text.matchAll(/\]\((https?:\/\/[^)\s]+)\)/g)) {
+        if (!links.has(url)) links.set(url, i + 1);
       }
-    };
+    });
 
-    addSection("Plugins & Integrations", this.officialData.plugins);
-    addSection(
-      "Themes",
-      this.officialData.themes,
-      "Discover beautiful themes for your Starlight documentation:\n\n",
+    const results = await Promise.all(
+      [...links.keys()].map((url) => this.validateUrl(url)),
     );
-    addSection(
-      "Tools",
-      this.officialData.tools,
-      "Development tools and utilities for Starlight:\n\n",
+    return [...links].flatMap(([url, line], i) => {
+      const { kind, status } = results[i];
+      if (kind !== "hard" && kind !== "soft") return [];
+      const failure = status ? `HTTP ${status}` : "unreachable";
+      return [
+        { rule: "link", line, message: `${url}: dead link (${failure})` },
+      ];
+    });
+  }
+
+  /**
+   * Writes the review queue to data/review.json, or removes the file when
+   * nothing is waiting
+   */
+  async saveReview() {
+    if (this.review.length === 0) {
+      await this.writeFile(this.reviewPath, null);
+      return;
+    }
+    const review = [...this.review].sort((a, b) =>
+      a.title.localeCompare(b.title),
     );
-    addSection(
-      "Showcases",
-      this.officialData.showcases,
-      "Real-world documentation sites built with Starlight:\n\n",
+    await this.writeFile(
+      this.reviewPath,
+      JSON.stringify(review, null, 2) + "\n",
     );
-    addSection(
-      "Videos",
-      this.officialData.videos,
-      "Video tutorials and screencasts:\n\n",
+    console.log(
+      `📝 ${review.length} categorization(s) waiting for review in ${path.relative(this.rootDir, this.reviewPath)}`,
     );
-    addSection("Articles & Case Studies", this.officialData.articles);
-
-    return sections.join("\n\n");
   }
 
-  async updateReadme() {
-    console.log("📝 Updating README.md...");
-    const readmePath = path.join(process.cwd(), "README.md");
-    let readme = await fs.readFile(readmePath, "utf-8");
-
-    const startMarker = "<!-- AUTOMATED_CONTENT_START -->";
-    const endMarker = "<!-- AUTOMATED_CONTENT_END -->";
+  /**
+   * Renders the targets of the `outputs` config section (see
+   * scripts/lib/render.js), between their markers or as whole files; the
+   * README target is checked with checkReadme(). Then saves the data files
+   * and the site.
+   */
+  async writeOutputs() {
+    const data = {
+      entries: Array.from(this.store.entries.values()),
+      sectionOrder: this.sectionOrder,
+      rendering: this.config.rendering,
+      createdAt: this.store.createdAt,
+      generatedAt: this.store.updatedAt,
+      now: this.now.toISOString(),
+    };
+    const written = [];
+    for (const target of resolveOutputs(this.config.outputs)) {
+      console.log(`📝 Updating ${target.file}...`);
+      const filePath = path.resolve(this.rootDir, target.file);
+      const content = renderOutput(target, data);
+      let output = content;
+      if (target.markers) {
+        const existing = await fs.readFile(filePath, "utf-8");
+        output = replaceBetweenMarkers(existing, content, target);
+      }
+      if (target.name === "readme") {
+        output = await this.checkReadme(output, target);
+      }
 
-    const startIndex = readme.indexOf(startMarker);
-    const endIndex = readme.indexOf(endMarker);
+      if (this.dryRun) {
+        console.log(
+          "\n🏁 DRY RUN - Content preview:\n" +
+            content.substring(0, 500) +
+            "...\n",
+        );
+      } else {
+        written.push([filePath, output]);
+      }
+    }
+    if (this.dryRun) return;
 
-    if (startIndex === -1 || endIndex === -1)
-      throw new Error("Markers not found in README.md");
+    for (const [filePath, output] of written) {
+      await this.writeFile(filePath, output);
+      console.log(`✅ ${path.relative(this.rootDir, filePath)} updated`);
+    }
 
-    const newContent = this.generateMarkdown();
-    const before = readme.substring(0, startIndex + startMarker.length);
-    const after = readme.substring(endIndex);
+    await this.store.save();
+    await this.health.save();
+    await this.categories.save();
+    await this.saveReview();
+    console.log(
+      `✅ ${path.relative(this.rootDir, this.storePath)} updated (${this.store.entries.size} entries)`,
+    );
+    if (this.config.site.enabled) await this.writeSite();
+  }
 
-    readme = `${before}\n\n${newContent}\n\n${after}`;
+  /**
+   * Writes the static site and JSON API (see scripts/lib/site.js) from the
+   * stored entries
+   */
+  async writeSite() {
+    const { outDir, title } = this.config.site;
+    const siteDir = path.resolve(this.rootDir, outDir);
+    const files = await writeSite(siteDir, {
+      title,
+      entries: Array.from(this.store.entries.values()),
+      generatedAt: this.store.updatedAt,
+      starlightVersion: this.starlightVersion,
+    });
+    console.log(
+      `✅ Site written to ${path.relative(this.rootDir, siteDir)} (${files} files)`,
+    );
+  }
 
-    if (DRY_RUN) {
-      console.log(
-        "\n🏁 DRY RUN - Content preview:\n" +
-          newContent.substring(0, 500) +
-          "...\n",
-      );
-    } else {
-      await fs.writeFile(readmePath, readme, "utf-8");
-      console.log("✅ README.md updated successfully!");
-    }
+  /**
+   * Writes the changes of this run as changes.md (commit body / PR
+   * description) and changes.json, whose `changed` tells the workflow
+   * whether to commit (see hasChanges())
+   */
+  async writeChangeReport(dir) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, "changes.md"),
+      renderChangelogMarkdown(
+        this.changes,
+        this.degradedLinks(),
+        this.sourceResults,
+        this.review,
+        this.readmeProblems,
+      ),
+      "utf-8",
+    );
+    await fs.writeFile(
+      path.join(dir, "changes.json"),
+      JSON.stringify(
+        {
+          summary: summaryLine(this.changes),
+          changed: this.hasChanges(),
+          ...this.changes,
+          degraded: this.degradedLinks(),
+          sources: this.sourceResults,
+          review: this.review,
+          readme: this.readmeProblems,
+        },
+        null,
+        2,
+      ) + "\n",
+      "utf-8",
+    );
+    console.log(`✅ Change report written to ${dir}`);
   }
 
   async run() {
     try {
       await this.collectAllData();
-      await this.updateReadme();
+      await this.writeOutputs();
+      if (this.reportDir) await this.writeChangeReport(this.reportDir);
       console.log("\n🎉 Update complete!\n");
     } catch (error) {
       console.error("\n❌ Error:", error.message);
@@ -756,4 +1253,33 @@ Respond with ONLY a JSON object:
   }
 }
 
-new AwesomeStarlightUpdater().run();
+function parseCliArgs(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      "dry-run": { type: "boolean", default: false },
+      recategorize: { type: "boolean", default: false },
+      record: { type: "string" },
+      replay: { type: "string" },
+      report: { type: "string" },
+    },
+  });
+
+  if (values.record && values.replay)
+    throw new Error("--record and --replay cannot be combined");
+
+  const mode = values.replay ? "replay" : values.record ? "record" : "live";
+  return {
+    dryRun: values["dry-run"],
+    recategorize: values.recategorize,
+    reportDir: values.report,
+    http: new HttpClient({
+      mode,
+      fixturesDir: values.replay || values.record,
+    }),
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  new AwesomeStarlightUpdater(parseCliArgs(process.argv.slice(2))).run();
+}
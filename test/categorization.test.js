@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  categorizationSchema,
+  categorize,
+  keywordCategory,
+  parseCategorization,
+} from "../scripts/lib/categorization.js";
+import { DEFAULT_CONFIG } from "../scripts/lib/config.js";
+import { MockProvider } from "../scripts/lib/llm.js";
+
+const options = DEFAULT_CONFIG.categorization;
+
+const items = [
+  { title: "starlight-blog", url: "https://a.dev", description: "Blog" },
+  { title: "starlight-theme-nova", url: "https://b.dev", description: "" },
+  { title: "starlight-to-pdf", url: "https://c.dev", description: "PDFs" },
+];
+
+const answer = (category, confidence = 0.9) => ({
+  category,
+  confidence,
+  rationale: `A ${category}.`,
+});
+
+// Replies to each request with the next of `replies` (strings or objects)
+function scripted(...replies) {
+  return new MockProvider({
+    respond: () => {
+      const reply = replies.shift();
+      return typeof reply === "string" ? reply : JSON.stringify(reply);
+    },
+  });
+}
+
+describe("parseCategorization()", () => {
+  const schema = categorizationSchema(2);
+
+  test("accepts a valid reply wrapped in a code fence", () => {
+    const reply = { 0: answer("plugin"), 1: answer("theme", 0.5) };
+    assert.deepEqual(
+      parseCategorization(
+        "Sure!\n```json\n" + JSON.stringify(reply) + "\n```",
+        schema,
+      ),
+      reply,
+    );
+  });
+
+  test("reports every schema violation", () => {
+    const reply = JSON.stringify({
+      0: { category: "widget", confidence: 2, rationale: "?" },
+      2: answer("plugin"),
+    });
+    assert.throws(
+      () => parseCategorization(reply, schema),
+      new Error(
+        "reply.1 is missing; reply.0.category must be one of plugin, theme, tool; reply.0.confidence must be at most 1; reply.2 is not expected",
+      ),
+    );
+    assert.throws(
+      () => parseCategorization("I think plugin", schema),
+      /does not contain a JSON object/,
+    );
+    assert.throws(
+      () => parseCategorization('{"0": plugin}', schema),
+      /not valid JSON/,
+    );
+  });
+});
+
+describe("keywordCategory()", () => {
+  test("matches whole words only", () => {
+    const category = (title, description = "") =>
+      keywordCategory({ title, description });
+    assert.equal(category("starlight-theme-nova"), "theme");
+    assert.equal(category("Nova", "Themes for Starlight."), "theme");
+    assert.equal(category("starlight-cli", "A CLI for docs."), "tool");
+    assert.equal(category("create-docs", "Site generator."), "tool");
+    assert.equal(category("starlight-openapi", "API client docs."), "plugin");
+    assert.equal(category("starlight-copy", "Click to copy."), "plugin");
+    assert.equal(category("starlight-sky", "Shows the declination."), "plugin");
+    assert.equal(category("starlight-theming", "Theming helpers."), "plugin");
+  });
+});
+
+describe("categorize()", () => {
+  test("sends batches and keeps confident answers matching the keywords", async () => {
+    const llm = scripted(
+      { 0: answer("plugin"), 1: answer("theme") },
+      { 0: answer("tool") },
+    );
+    const results = await categorize(llm, items, {
+      ...options,
+      batchSize: 2,
+      reviewDisagreements: true,
+    });
+
+    assert.equal(llm.requests.length, 2);
+    assert.match(llm.requests[1].prompt, /^0\. starlight-to-pdf \|/m);
+    assert.deepEqual(Object.keys(llm.requests[1].schema.properties), ["0"]);
+    assert.deepEqual(
+      results.map(({ category, review }) => [category, review]),
+      [
+        ["plugin", null],
+        ["theme", null],
+        ["tool", "AI says tool, keyword rules say plugin"],
+      ],
+    );
+    assert.equal(results[0].rationale, "A plugin.");
+  });
+
+  test("flags low-confidence answers for review", async () => {
+    const llm = scripted({
+      0: answer("plugin", 0.4),
+      1: answer("theme"),
+      2: answer("plugin"),
+    });
+    const [first] = await categorize(llm, items, options);
+    assert.equal(first.review, "low confidence (0.4)");
+  });
+
+  test("keeps answers disagreeing with the keyword rules by default", async () => {
+    const llm = scripted({
+      0: answer("plugin"),
+      1: answer("theme"),
+      2: answer("tool"),
+    });
+    const results = await categorize(llm, items, options);
+    assert.deepEqual(
+      results.map(({ category, keywords, review }) => [
+        category,
+        keywords,
+        review,
+      ]),
+      [
+        ["plugin", "plugin", null],
+        ["theme", "theme", null],
+        ["tool", "plugin", null],
+      ],
+    );
+  });
+
+  test("re-asks on malformed replies, quoting the problem", async () => {
+    const llm = scripted("plugin, theme, plugin", {
+      0: answer("plugin"),
+      1: answer("theme"),
+      2: answer("plugin"),
+    });
+    const results = await categorize(llm, items, options);
+
+    assert.equal(llm.requests.length, 2);
+    assert.match(
+      llm.requests[1].prompt,
+      /Your previous reply was rejected: reply does not contain a JSON object/,
+    );
+    assert.ok(results.every((result) => result.review === null));
+  });
+
+  test("falls back to the keyword rules, flagged, when retries run out", async () => {
+    const llm = scripted("no", "still no");
+    const results = await categorize(llm, items, { ...options, retries: 1 });
+
+    assert.equal(llm.requests.length, 2);
+    assert.deepEqual(
+      results.map((result) => result.category),
+      items.map(keywordCategory),
+    );
+    assert.match(results[0].review, /^AI categorization failed \(malformed/);
+  });
+});
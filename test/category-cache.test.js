@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  CategoryCache,
+  categoryKey,
+  contentHash,
+} from "../scripts/lib/category-cache.js";
+
+const item = {
+  title: "starlight-blog",
+  url: "https://starlight-blog.netlify.app/",
+  description: "Blog plugin",
+  package: "starlight-blog",
+  keywords: ["starlight", "blog"],
+};
+const answer = { category: "plugin", confidence: 0.9, rationale: "A plugin." };
+const day = (date) => new Date(`${date}T03:00:00Z`);
+
+describe("CategoryCache", () => {
+  test("keys items by package, or by URL without one", () => {
+    assert.equal(categoryKey(item), "npm:starlight-blog");
+    assert.equal(
+      categoryKey({ title: "x", url: "https://www.GitHub.com/a/b/" }),
+      "url:https://github.com/a/b",
+    );
+  });
+
+  test("hashes name, description and keywords, ignoring keyword order", () => {
+    const reordered = { ...item, keywords: ["blog", "starlight"] };
+    assert.equal(contentHash(reordered), contentHash(item));
+    assert.notEqual(
+      contentHash({ ...item, description: "Blog and RSS plugin" }),
+      contentHash(item),
+    );
+    assert.notEqual(
+      contentHash({ ...item, keywords: ["starlight"] }),
+      contentHash(item),
+    );
+  });
+
+  test("returns answers for unchanged items only", () => {
+    const cache = new CategoryCache("categories.json");
+    cache.remember(item, answer, day("2026-10-18"));
+
+    assert.deepEqual(cache.lookup(item, day("2026-10-25")), answer);
+    assert.equal(cache.items.get("npm:starlight-blog").lastUsed, "2026-10-25");
+    assert.equal(
+      cache.lookup({ ...item, description: "Now a theme" }, day("2026-10-25")),
+      undefined,
+    );
+    assert.equal(
+      cache.lookup({ ...item, package: "other" }, day("2026-10-25")),
+      undefined,
+    );
+  });
+
+  test("forgets answers unused for 90 days", () => {
+    const cache = new CategoryCache("categories.json");
+    cache.remember(item, answer, day("2026-01-01"));
+    cache.prune(day("2026-03-01"));
+    assert.equal(cache.items.size, 1);
+    cache.prune(day("2026-04-15"));
+    assert.equal(cache.items.size, 0);
+  });
+});
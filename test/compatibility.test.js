@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  compatibility,
+  formatLines,
+  releaseLines,
+  supportedLines,
+} from "../scripts/lib/compatibility.js";
+
+const starlight = {
+  latest: "0.36.1",
+  versions: [
+    "0.30.0",
+    "0.31.0",
+    "0.31.1",
+    "0.32.0",
+    "0.33.0",
+    "0.34.0",
+    "0.35.0",
+    "0.36.0",
+    "0.36.1",
+    "0.37.0-beta.1",
+  ],
+};
+const astro = ["3.6.5", "4.0.0", "4.16.18", "5.0.0", "5.14.1", "6.0.0-alpha.1"];
+
+describe("compatibility", () => {
+  test("release lines follow caret semantics", () => {
+    assert.deepEqual(releaseLines(astro), ["3", "4", "5"]);
+    assert.deepEqual(releaseLines(starlight.versions).slice(0, 3), [
+      "0.30",
+      "0.31",
+      "0.32",
+    ]);
+  });
+
+  test("supported lines only count stable releases", () => {
+    assert.deepEqual(supportedLines("^4.0.0 || ^5.0.0", astro), ["4", "5"]);
+    assert.deepEqual(supportedLines(">=0.36.0", starlight.versions), ["0.36"]);
+    assert.deepEqual(supportedLines("not a range", astro), []);
+  });
+
+  test("labels join consecutive lines and open runs reaching the latest", () => {
+    const all = releaseLines(starlight.versions);
+    assert.equal(formatLines(["0.32", "0.33", "0.34"], all), "0.32–0.34");
+    assert.equal(formatLines(["0.34", "0.35", "0.36"], all), "0.34+");
+    assert.equal(formatLines(["0.30", "0.32", "0.33"], all), "0.30, 0.32–0.33");
+    assert.equal(formatLines(["0.36"], all), "0.36");
+  });
+
+  test("reports whether the latest release is supported", () => {
+    assert.deepEqual(compatibility(">=0.32.0 <0.36.0", starlight), {
+      range: ">=0.32.0 <0.36.0",
+      lines: ["0.32", "0.33", "0.34", "0.35"],
+      label: "0.32–0.35",
+      latest: false,
+    });
+    assert.equal(compatibility(">=0.34.0", starlight).latest, true);
+  });
+
+  test("ranges semver cannot read are unknown, not incompatible", () => {
+    for (const range of [
+      "latest",
+      "workspace:*",
+      "npm:@astrojs/starlight@^0.36",
+    ]) {
+      assert.deepEqual(compatibility(range, starlight), {
+        range,
+        lines: [],
+        label: "",
+        latest: null,
+      });
+    }
+  });
+});
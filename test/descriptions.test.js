@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  buildSummaryPrompt,
+  cleanDescription,
+  isBoilerplate,
+  pageText,
+} from "../scripts/lib/descriptions.js";
+
+describe("isBoilerplate()", () => {
+  test("flags empty, placeholder and copied upstream descriptions", () => {
+    assert.equal(isBoilerplate(""), true);
+    assert.equal(isBoilerplate(undefined), true);
+    assert.equal(
+      isBoilerplate(
+        "Build beautiful, high-performance documentation websites with Astro.",
+      ),
+      true,
+    );
+    assert.equal(isBoilerplate("todo"), true);
+    assert.equal(
+      isBoilerplate("Starlight Kbd", {
+        title: "starlight-kbd",
+        package: "starlight-kbd",
+      }),
+      true,
+    );
+    assert.equal(
+      isBoilerplate("Build beautiful keyboard shortcuts with Starlight"),
+      false,
+    );
+  });
+});
+
+describe("cleanDescription()", () => {
+  test("collapses whitespace, unquotes, capitalizes and ends sentences", () => {
+    assert.equal(
+      cleanDescription('  "a plugin   to add\n a blog"  '),
+      "A plugin to add a blog.",
+    );
+    assert.equal(
+      cleanDescription("starlight-blog adds a blog"),
+      "starlight-blog adds a blog.",
+    );
+    assert.equal(cleanDescription("Is it fast?"), "Is it fast?");
+    assert.equal(cleanDescription("   "), "");
+  });
+
+  test("shortens long descriptions after a sentence or a word", () => {
+    assert.equal(
+      cleanDescription(
+        "Adds a blog to Starlight. Supports v1.2 tags, authors and RSS feeds out of the box.",
+        40,
+      ),
+      "Adds a blog to Starlight.",
+    );
+    assert.equal(
+      cleanDescription(
+        "Adds a blog to your Starlight documentation, with tags",
+        30,
+      ),
+      "Adds a blog to your Starlight…",
+    );
+  });
+});
+
+describe("pageText()", () => {
+  test("keeps the readable text of a page", () => {
+    assert.equal(
+      pageText(
+        `<html><head><style>p { color: red }</style><script>track()</script></head>
+<body><nav>Home</nav><!-- hero --><h1>Kit&nbsp;Docs</h1><p>Guides for   Kit.</p></body></html>`,
+      ),
+      "Kit Docs Guides for Kit.",
+    );
+    assert.equal(pageText("<p>abcdef</p>", 3), "abc");
+  });
+});
+
+describe("buildSummaryPrompt()", () => {
+  test("describes the item as listed under the given category", () => {
+    const item = { title: "Acme", url: "https://acme.dev" };
+    assert.match(
+      buildSummaryPrompt(item, "showcases", "Docs"),
+      /^Describe this documentation site in ONE/,
+    );
+    assert.match(
+      buildSummaryPrompt(item, "plugins", "Docs"),
+      /^Describe this project in ONE/,
+    );
+    assert.match(
+      buildSummaryPrompt(item, "plugins", "Docs"),
+      /Name: Acme\nURL: https:\/\/acme\.dev\nPage text:\nDocs$/,
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  compactNumber,
+  formatEnrichment,
+  validateRendering,
+} from "../scripts/lib/enrichment.js";
+
+const entry = {
+  title: "starlight-blog",
+  github: {
+    stars: 1234,
+    pushedAt: "2026-10-01T10:00:00Z",
+    license: "MIT",
+  },
+  npm: {
+    version: "0.24.0",
+    publishedAt: "2026-09-28T12:00:00.000Z",
+    weeklyDownloads: 18950,
+  },
+};
+
+describe("compactNumber()", () => {
+  test("abbreviates thousands and millions", () => {
+    assert.equal(compactNumber(950), "950");
+    assert.equal(compactNumber(1234), "1.2k");
+    assert.equal(compactNumber(18950), "19k");
+    assert.equal(compactNumber(2500000), "2.5M");
+  });
+});
+
+describe("formatEnrichment()", () => {
+  test("renders the chosen fields as text, in the chosen order", () => {
+    assert.equal(
+      formatEnrichment(entry, { fields: ["license", "stars"], style: "text" }),
+      " — MIT · ★ 1.2k",
+    );
+    assert.equal(
+      formatEnrichment(entry, {
+        fields: ["stars", "downloads", "updated", "license"],
+        style: "text",
+      }),
+      " — ★ 1.2k · 19k downloads/week · released 2026-09-28 · MIT",
+    );
+  });
+
+  test("renders shields.io badges", () => {
+    assert.equal(
+      formatEnrichment(entry, {
+        fields: ["downloads", "updated"],
+        style: "badges",
+      }),
+      " ![downloads: 19k/week](https://img.shields.io/badge/downloads-19k%2Fweek-blue)" +
+        " ![released: 2026-09-28](https://img.shields.io/badge/released-2026--09--28-blue)",
+    );
+  });
+
+  test("skips what is unknown and falls back to the last commit", () => {
+    const site = {
+      title: "Docs",
+      github: { pushedAt: "2026-10-01T10:00:00Z" },
+    };
+    assert.equal(
+      formatEnrichment(site, {
+        fields: ["stars", "downloads", "updated", "license"],
+        style: "text",
+      }),
+      " — updated 2026-10-01",
+    );
+    assert.equal(
+      formatEnrichment({ title: "Video" }, { fields: ["stars"] }),
+      "",
+    );
+    assert.equal(formatEnrichment(entry, { fields: [] }), "");
+  });
+});
+
+describe("validateRendering()", () => {
+  test("reports unknown fields and styles", () => {
+    assert.deepEqual(
+      validateRendering({
+        plugins: { fields: ["stars"], style: "text" },
+        themes: { fields: ["forks"], style: "fancy" },
+      }),
+      [
+        'rendering.themes.fields: unknown field "forks" (expected one of: stars, updated, downloads, license)',
+        "rendering.themes.style must be one of: text, badges",
+      ],
+    );
+  });
+});
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  buildRepositoryQuery,
+  GitHubClient,
+  GRAPHQL_BATCH_SIZE,
+  repositoryOf,
+} from "../scripts/lib/github.js";
+
+const node = (slug) => ({
+  nameWithOwner: slug,
+  url: `https://github.com/${slug}`,
+  description: `About ${slug}`,
+  homepageUrl: null,
+  isFork: false,
+  isArchived: false,
+  isDisabled: false,
+  stargazerCount: 1,
+  pushedAt: "2026-10-01T00:00:00Z",
+  licenseInfo: null,
+  repositoryTopics: { nodes: [{ topic: { name: "starlight" } }] },
+});
+
+// Answers GraphQL queries for the repositories in `known`
+function fakeGraphQL(known, { fail = false } = {}) {
+  const requests = [];
+  const http = {
+    async fetch(url, options) {
+      const { variables } = JSON.parse(options.body);
+      requests.push(variables);
+      if (fail) return new Response("Bad gateway", { status: 502 });
+
+      const data = {};
+      const errors = [];
+      for (let i = 0; `o${i}` in variables; i++) {
+        const slug = `${variables[`o${i}`]}/${variables[`n${i}`]}`;
+        data[`r${i}`] = known.includes(slug) ? node(slug) : null;
+        if (!data[`r${i}`]) errors.push({ type: "NOT_FOUND", path: [`r${i}`] });
+      }
+      return Response.json({ data, errors });
+    },
+  };
+  return { http, requests };
+}
+
+describe("GitHub metadata", () => {
+  test("repositoryOf() drops monorepo subdirectories", () => {
+    assert.equal(
+      repositoryOf("https://github.com/Org/Repo/tree/main/packages/plugin"),
+      "org/repo",
+    );
+    assert.equal(repositoryOf("https://org.github.io/repo/"), "org/repo");
+    assert.equal(repositoryOf("https://example.com/org/repo"), "");
+  });
+
+  test("buildRepositoryQuery() aliases every repository", () => {
+    const { query, variables } = buildRepositoryQuery(["a/one", "b/two"]);
+    assert.match(query, /r0: repository\(owner: \$o0, name: \$n0\)/);
+    assert.match(query, /r1: repository\(owner: \$o1, name: \$n1\)/);
+    assert.deepEqual(variables, { o0: "a", n0: "one", o1: "b", n1: "two" });
+  });
+
+  test("prefetch() batches uncached repositories and records missing ones", async () => {
+    const slugs = Array.from(
+      { length: GRAPHQL_BATCH_SIZE + 1 },
+      (_, i) => `org/repo-${i}`,
+    );
+    const { http, requests } = fakeGraphQL(slugs.slice(1));
+    const github = new GitHubClient({ http, token: "test" });
+
+    await github.prefetch([...slugs, "Org/Repo-1"]);
+    await github.prefetch(slugs);
+
+    assert.equal(requests.length, 2);
+    assert.equal(github.get("org/repo-0"), null);
+    assert.equal(github.get("ORG/REPO-1").description, "About org/repo-1");
+    assert.deepEqual(github.get("org/repo-1").topics, ["starlight"]);
+  });
+
+  test("failed batches leave repositories unresolved", async () => {
+    const { http } = fakeGraphQL([], { fail: true });
+    const github = new GitHubClient({ http, token: "test" });
+
+    await github.prefetch(["org/repo"]);
+    assert.equal(github.get("org/repo"), undefined);
+  });
+
+  test("prefetch() is skipped without credentials", async () => {
+    const { http, requests } = fakeGraphQL([]);
+    await new GitHubClient({ http }).prefetch(["org/repo"]);
+    assert.equal(requests.length, 0);
+  });
+});
@@ -0,0 +1,174 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { HttpClient, RateLimitError } from "../scripts/lib/http.js";
+
+const noSleep = async () => {};
+
+function fakeFetch(handler) {
+  const calls = [];
+  let active = 0;
+  const fetch = async (url, options) => {
+    calls.push(url);
+    active++;
+    fetch.maxActive = Math.max(fetch.maxActive, active);
+    try {
+      await new Promise((resolve) => setImmediate(resolve));
+      return handler(url, calls.filter((c) => c === url).length, options);
+    } finally {
+      active--;
+    }
+  };
+  fetch.maxActive = 0;
+  fetch.calls = calls;
+  return fetch;
+}
+
+describe("HttpClient", () => {
+  test("bounds concurrency overall and per host", async () => {
+    const fetch = fakeFetch(() => new Response("ok"));
+    const http = new HttpClient({
+      fetch,
+      sleep: noSleep,
+      concurrency: 3,
+      hostLimits: { "slow.example.com": 1 },
+    });
+
+    await Promise.all([
+      ...Array.from({ length: 10 }, (_, i) =>
+        http.fetch(`https://a.example.com/${i}`),
+      ),
+    ]);
+    assert.equal(fetch.maxActive, 3);
+
+    fetch.maxActive = 0;
+    await Promise.all(
+      Array.from({ length: 4 }, (_, i) =>
+        http.fetch(`https://slow.example.com/${i}`),
+      ),
+    );
+    assert.equal(fetch.maxActive, 1);
+  });
+
+  test("retries 5xx responses with exponential backoff", async () => {
+    const delays = [];
+    const fetch = fakeFetch((url, attempt) =>
+      attempt < 3 ? new Response("", { status: 503 }) : new Response("ok"),
+    );
+    const http = new HttpClient({
+      fetch,
+      sleep: async (ms) => delays.push(ms),
+      backoffMs: 100,
+    });
+
+    const response = await http.fetch("https://a.example.com/");
+    assert.equal(response.status, 200);
+    assert.deepEqual(delays, [100, 200]);
+  });
+
+  test("gives up after the configured retries", async () => {
+    const fetch = fakeFetch(() => new Response("", { status: 502 }));
+    const http = new HttpClient({ fetch, sleep: noSleep, retries: 2 });
+
+    const response = await http.fetch("https://a.example.com/");
+    assert.equal(response.status, 502);
+    assert.equal(fetch.calls.length, 3);
+  });
+
+  test("waits for Retry-After before retrying", async () => {
+    const delays = [];
+    const fetch = fakeFetch((url, attempt) =>
+      attempt === 1
+        ? new Response("", { status: 429, headers: { "Retry-After": "2" } })
+        : new Response("ok"),
+    );
+    const http = new HttpClient({
+      fetch,
+      sleep: async (ms) => delays.push(ms),
+    });
+
+    const response = await http.fetch("https://a.example.com/");
+    assert.equal(response.status, 200);
+    assert.equal(delays.length, 1);
+    assert.ok(delays[0] > 1000 && delays[0] <= 2000);
+  });
+
+  test("fails with RateLimitError when GitHub's limit resets too late", async () => {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    const fetch = fakeFetch(
+      () =>
+        new Response("", {
+          status: 403,
+          headers: {
+            "X-RateLimit-Remaining": "0",
+            "X-RateLimit-Reset": String(reset),
+          },
+        }),
+    );
+    const http = new HttpClient({ fetch, sleep: noSleep });
+
+    await assert.rejects(
+      () => http.fetch("https://api.github.com/repos/a/b"),
+      RateLimitError,
+    );
+    // Later requests to the same host do not even reach the network
+    await assert.rejects(
+      () => http.fetch("https://api.github.com/repos/c/d"),
+      RateLimitError,
+    );
+    assert.equal(fetch.calls.length, 1);
+  });
+
+  test("times out requests that take too long once started", async () => {
+    const http = new HttpClient({
+      sleep: noSleep,
+      fetch: (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () =>
+            reject(new DOMException("aborted", "AbortError")),
+          );
+        }),
+    });
+
+    await assert.rejects(
+      () => http.fetch("https://a.example.com/", { timeout: 10 }),
+      { name: "AbortError" },
+    );
+  });
+
+  test("keeps the responses to different Accept headers apart in fixtures", async () => {
+    const fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), "fixtures-"));
+    const url = "https://registry.npmjs.org/astro";
+    const abbreviated = {
+      headers: { Accept: "application/vnd.npm.install-v1+json" },
+    };
+    const recorder = new HttpClient({
+      mode: "record",
+      fixturesDir,
+      sleep: noSleep,
+      fetch: fakeFetch((_, __, options) =>
+        Response.json({ full: !options.headers }),
+      ),
+    });
+    await recorder.fetch(url);
+    await recorder.fetch(url, {
+      ...abbreviated,
+      headers: { ...abbreviated.headers, Authorization: "token secret" },
+    });
+
+    const replayer = new HttpClient({ mode: "replay", fixturesDir });
+    assert.deepEqual(await (await replayer.fetch(url)).json(), { full: true });
+    assert.deepEqual(await (await replayer.fetch(url, abbreviated)).json(), {
+      full: false,
+    });
+    const recorded = await Promise.all(
+      (await fs.readdir(fixturesDir)).map((file) =>
+        fs.readFile(path.join(fixturesDir, file), "utf-8"),
+      ),
+    );
+    assert.doesNotMatch(recorded.join("\n"), /secret/);
+    await fs.rm(fixturesDir, { recursive: true });
+  });
+});
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  canonicalizeUrl,
+  displayUrl,
+  resolveEntities,
+} from "../scripts/lib/identity.js";
+
+describe("canonicalizeUrl()", () => {
+  test("normalizes the host and GitHub repositories", () => {
+    assert.equal(
+      canonicalizeUrl("http://www.GitHub.com/HiDeoo/Starlight-Blog.git#readme"),
+      "https://github.com/hideoo/starlight-blog",
+    );
+    assert.equal(
+      canonicalizeUrl("https://github.com/HiDeoo/Starlight-Blog/tree/main/"),
+      "https://github.com/hideoo/starlight-blog",
+    );
+    assert.equal(
+      canonicalizeUrl("https://Docs.Acme.dev/guide/index.html?utm_source=x"),
+      "https://docs.acme.dev/guide",
+    );
+  });
+
+  test("keeps the case of paths and queries", () => {
+    assert.equal(
+      canonicalizeUrl("https://www.youtube.com/watch?v=5u0Ds7wzUeI"),
+      "https://youtube.com/watch?v=5u0Ds7wzUeI",
+    );
+    assert.notEqual(
+      canonicalizeUrl("https://www.youtube.com/watch?v=abcDEF"),
+      canonicalizeUrl("https://www.youtube.com/watch?v=ABCdef"),
+    );
+    assert.equal(
+      canonicalizeUrl("https://acme.github.io/Docs/Guide/"),
+      "https://acme.github.io/Docs/Guide",
+    );
+  });
+});
+
+describe("displayUrl()", () => {
+  test("drops what canonicalization ignores but keeps the link as written", () => {
+    assert.equal(
+      displayUrl("https://github.com/Linkerin/starlight-to-pdf#readme"),
+      "https://github.com/Linkerin/starlight-to-pdf",
+    );
+    assert.equal(
+      displayUrl("https://github.com/HiDeoo/Starlight-Blog.git/"),
+      "https://github.com/HiDeoo/Starlight-Blog",
+    );
+    assert.equal(
+      displayUrl("https://github.com/acme/tools/tree/main/packages/theme"),
+      "https://github.com/acme/tools/tree/main/packages/theme",
+    );
+    assert.equal(
+      displayUrl("https://Docs.Acme.dev/Guide/?utm_source=x&page=2#intro"),
+      "https://docs.acme.dev/Guide/?page=2#intro",
+    );
+    assert.equal(
+      displayUrl("https://docs.pixel.example.com"),
+      "https://docs.pixel.example.com",
+    );
+  });
+});
+
+describe("resolveEntities()", () => {
+  test("does not merge links differing only in the case of their path", () => {
+    const videos = resolveEntities({
+      videos: [
+        { title: "A", url: "https://www.youtube.com/watch?v=abcDEF" },
+        { title: "B", url: "https://www.youtube.com/watch?v=ABCdef" },
+      ],
+    }).videos;
+    assert.equal(videos.length, 2);
+  });
+
+  const resolve = (...items) =>
+    resolveEntities({ plugins: items }).plugins.map(({ url, description }) => ({
+      url,
+      description,
+    }));
+  const npm = {
+    title: "starlight-blog",
+    url: "https://github.com/HiDeoo/starlight-blog#readme",
+    package: "starlight-blog",
+    source: "npm",
+  };
+  const github = {
+    title: "starlight-blog",
+    url: "https://github.com/hideoo/starlight-blog",
+    source: "github",
+  };
+
+  test("shows the merged entry at its display URL", () => {
+    assert.deepEqual(resolve(npm, github), [
+      { url: "https://github.com/HiDeoo/starlight-blog", description: "" },
+    ]);
+  });
+
+  test("keeps the most informative description of the group", () => {
+    assert.equal(
+      resolve(
+        { ...npm, description: "starlight-blog" },
+        { ...github, description: "Blog plugin." },
+      )[0].description,
+      "Blog plugin.",
+    );
+    assert.equal(
+      resolve(
+        { ...npm, description: "Blog plugin." },
+        { ...github, description: "Blog plugin with RSS and authors." },
+      )[0].description,
+      "Blog plugin with RSS and authors.",
+    );
+    // Equally good descriptions go by source priority
+    assert.equal(
+      resolve(
+        { ...github, description: "Blog plugin B." },
+        { ...npm, description: "Blog plugin A." },
+      )[0].description,
+      "Blog plugin A.",
+    );
+  });
+});
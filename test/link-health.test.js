@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { classifyStatus, LinkHealth } from "../scripts/lib/link-health.js";
+
+const OPTIONS = {
+  hardFailures: 2,
+  softFailures: 4,
+  graceDays: 14,
+  historySize: 10,
+};
+const day = (n) => new Date(Date.UTC(2026, 9, 1 + n));
+
+describe("classifyStatus", () => {
+  test("separates gone resources from temporary failures", () => {
+    assert.equal(classifyStatus(200), "ok");
+    assert.equal(classifyStatus(301), "ok");
+    assert.equal(classifyStatus(404), "hard");
+    assert.equal(classifyStatus(410), "hard");
+    assert.equal(classifyStatus(429), "soft");
+    assert.equal(classifyStatus(503), "soft");
+    assert.equal(classifyStatus(0), "soft");
+  });
+});
+
+describe("LinkHealth", () => {
+  const url = "https://example.com/plugin";
+
+  test("hard failures are removable after the grace period", () => {
+    const health = new LinkHealth("unused.json", {}, OPTIONS);
+    health.record(url, { status: 404, kind: "hard" }, day(0));
+    health.record(url, { status: 404, kind: "hard" }, day(7));
+    assert.equal(health.isRemovable(url, day(7)), false);
+
+    health.record(url, { status: 404, kind: "hard" }, day(14));
+    assert.equal(health.isRemovable(url, day(14)), true);
+  });
+
+  test("soft failures need more consecutive checks", () => {
+    const health = new LinkHealth("unused.json", {}, OPTIONS);
+    for (const n of [0, 7, 14]) {
+      health.record(url, { status: 503, kind: "soft" }, day(n));
+    }
+    assert.equal(health.isRemovable(url, day(14)), false);
+
+    health.record(url, { status: 0, kind: "soft" }, day(21));
+    assert.equal(health.isRemovable(url, day(21)), true);
+  });
+
+  test("a successful check resets the failure streak", () => {
+    const health = new LinkHealth("unused.json", {}, OPTIONS);
+    health.record(url, { status: 404, kind: "hard" }, day(0));
+    health.record(url, { status: 200, kind: "ok" }, day(7));
+    health.record(url, { status: 404, kind: "hard" }, day(14));
+
+    assert.equal(health.get(url).failingSince, "2026-10-15");
+    assert.equal(health.isRemovable(url, day(14)), false);
+    assert.deepEqual(
+      health.degraded().map((d) => [d.url, d.consecutiveFailures]),
+      [[url, 1]],
+    );
+  });
+});
@@ -0,0 +1,167 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { DEFAULT_CONFIG } from "../scripts/lib/config.js";
+import {
+  categorizeByKeywords,
+  createLlmProvider,
+  MockProvider,
+} from "../scripts/lib/llm.js";
+
+const request = {
+  system: "You categorize things.",
+  prompt: [
+    "Packages:",
+    "0. starlight-blog | https://a.dev | Blog plugin",
+    "1. starlight-theme-nova | https://b.dev | A theme",
+    "2. starlight-i18n | https://c.dev | VSCode extension",
+  ].join("\n"),
+};
+
+// Records requests and answers them with `body`
+function fakeHttp(body) {
+  const requests = [];
+  return {
+    requests,
+    async fetch(url, options) {
+      requests.push({
+        url: String(url),
+        headers: new Headers(options.headers),
+        body: JSON.parse(options.body),
+      });
+      return Response.json(body);
+    },
+  };
+}
+
+const llmConfig = (options) => ({ ...DEFAULT_CONFIG.llm, ...options });
+
+describe("createLlmProvider()", () => {
+  test("calls GitHub Models with GITHUB_TOKEN by default", async () => {
+    const http = fakeHttp({ choices: [{ message: { content: "{}" } }] });
+    const llm = createLlmProvider(DEFAULT_CONFIG.llm, {
+      http,
+      env: { GITHUB_TOKEN: "gh-token" },
+    });
+
+    assert.equal(await llm.complete(request), "{}");
+    const [sent] = http.requests;
+    assert.equal(
+      sent.url,
+      "https://models.inference.ai.azure.com/chat/completions",
+    );
+    assert.equal(sent.headers.get("authorization"), "Bearer gh-token");
+    assert.deepEqual(sent.body, {
+      messages: [
+        { role: "system", content: request.system },
+        { role: "user", content: request.prompt },
+      ],
+      model: "gpt-4o",
+      temperature: 0.1,
+      max_tokens: 4000,
+    });
+  });
+
+  test("talks to OpenAI-compatible servers without a key", async () => {
+    const http = fakeHttp({ choices: [{ message: { content: "ok" } }] });
+    const llm = createLlmProvider(
+      llmConfig({
+        provider: "openai-compatible",
+        baseUrl: "http://localhost:1234/v1/",
+        model: "qwen2.5",
+      }),
+      { http, env: {} },
+    );
+
+    const schema = { type: "object" };
+    assert.equal(await llm.complete({ ...request, schema }), "ok");
+    const [sent] = http.requests;
+    assert.equal(sent.url, "http://localhost:1234/v1/chat/completions");
+    assert.equal(sent.headers.get("authorization"), null);
+    assert.equal(sent.body.model, "qwen2.5");
+    assert.deepEqual(sent.body.response_format, {
+      type: "json_schema",
+      json_schema: { name: "reply", strict: true, schema },
+    });
+  });
+
+  test("calls the Anthropic Messages API through the shared client", async () => {
+    const http = fakeHttp({
+      id: "msg_1",
+      type: "message",
+      role: "assistant",
+      model: "claude-sonnet-4-5",
+      content: [{ type: "text", text: '{"0": "plugin"}' }],
+      stop_reason: "end_turn",
+      usage: { input_tokens: 1, output_tokens: 1 },
+    });
+    const llm = createLlmProvider(llmConfig({ provider: "anthropic" }), {
+      http,
+      env: { ANTHROPIC_API_KEY: "sk-test" },
+    });
+
+    assert.equal(await llm.complete(request), '{"0": "plugin"}');
+    const [sent] = http.requests;
+    assert.equal(sent.url, "https://api.anthropic.com/v1/messages");
+    assert.equal(sent.headers.get("x-api-key"), "sk-test");
+    assert.deepEqual(sent.body, {
+      model: "claude-sonnet-4-5",
+      max_tokens: 4000,
+      temperature: 0.1,
+      system: request.system,
+      messages: [{ role: "user", content: request.prompt }],
+    });
+  });
+
+  test("fails calls without the API key, unless allowed", async () => {
+    const http = fakeHttp({ choices: [{ message: { content: "ok" } }] });
+    const llm = createLlmProvider(DEFAULT_CONFIG.llm, { http, env: {} });
+    await assert.rejects(llm.complete(request), /GITHUB_TOKEN is required/);
+
+    const replaying = createLlmProvider(DEFAULT_CONFIG.llm, {
+      http,
+      env: {},
+      allowMissingKey: true,
+    });
+    assert.equal(await replaying.complete(request), "ok");
+  });
+
+  test("does not build an Anthropic client without the API key", async () => {
+    const http = fakeHttp({});
+    const llm = createLlmProvider(llmConfig({ provider: "anthropic" }), {
+      http,
+      env: {},
+    });
+    assert.equal(llm.client, null);
+    await assert.rejects(
+      llm.complete(request),
+      /ANTHROPIC_API_KEY is required/,
+    );
+    assert.equal(http.requests.length, 0);
+  });
+
+  test("rejects unknown providers", () => {
+    assert.throws(
+      () => createLlmProvider(llmConfig({ provider: "magic" }), {}),
+      /Unknown llm.provider "magic"/,
+    );
+  });
+});
+
+describe("MockProvider", () => {
+  test("answers categorization prompts deterministically", async () => {
+    const llm = createLlmProvider(llmConfig({ provider: "mock" }), {});
+    const reply = JSON.parse(await llm.complete(request));
+    assert.deepEqual(
+      Object.values(reply).map((answer) => answer.category),
+      ["plugin", "theme", "tool"],
+    );
+    assert.equal(reply[0].confidence, 1);
+    assert.deepEqual(llm.requests, [request]);
+    assert.equal(await llm.complete(request), categorizeByKeywords(request));
+  });
+
+  test("can be given canned replies", async () => {
+    const llm = new MockProvider({ respond: () => "not json" });
+    assert.equal(await llm.complete(request), "not json");
+  });
+});
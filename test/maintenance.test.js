@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { DEFAULT_CONFIG } from "../scripts/lib/config.js";
+import { maintenanceIssues } from "../scripts/lib/maintenance.js";
+import { toPackageMetadata } from "../scripts/lib/npm.js";
+
+const rules = DEFAULT_CONFIG.maintenance;
+const now = new Date("2026-10-19T00:00:00Z");
+const context = { now, starlightVersion: "0.36.1" };
+
+const active = {
+  github: { archived: false, pushedAt: "2026-10-01T00:00:00Z" },
+  npm: {
+    version: "1.0.0",
+    publishedAt: "2026-09-01T00:00:00Z",
+    peers: { "@astrojs/starlight": ">=0.34.0" },
+  },
+  compatibility: {
+    "@astrojs/starlight": { range: ">=0.34.0", latest: true },
+  },
+};
+
+describe("maintenanceIssues()", () => {
+  test("passes active, compatible projects", () => {
+    assert.deepEqual(maintenanceIssues(active, rules, context), []);
+    assert.deepEqual(maintenanceIssues({}, rules, context), []);
+    // Ranges such as "workspace:*" say nothing about compatibility
+    const unknown = {
+      ...active,
+      compatibility: {
+        "@astrojs/starlight": { range: "workspace:*", latest: null },
+      },
+    };
+    assert.deepEqual(maintenanceIssues(unknown, rules, context), []);
+  });
+
+  test("flags archived and inactive repositories", () => {
+    const item = {
+      github: { archived: true, pushedAt: "2023-01-15T00:00:00Z" },
+    };
+    assert.deepEqual(maintenanceIssues(item, rules, context), [
+      "repository archived",
+      "no commits since 2023-01-15",
+    ]);
+  });
+
+  test("flags old releases and incompatible peer ranges", () => {
+    const item = {
+      npm: { publishedAt: "2024-01-10T12:00:00Z" },
+      compatibility: {
+        "@astrojs/starlight": { range: "^0.21.0", latest: false },
+      },
+    };
+    assert.deepEqual(maintenanceIssues(item, rules, context), [
+      "no npm release since 2024-01-10",
+      "requires @astrojs/starlight ^0.21.0 (current 0.36.1)",
+    ]);
+  });
+
+  test("disabled rules are skipped", () => {
+    const item = {
+      github: { archived: true, pushedAt: "2020-01-01T00:00:00Z" },
+      compatibility: {
+        "@astrojs/starlight": { range: "^0.21.0", latest: false },
+      },
+    };
+    const lenient = {
+      archived: false,
+      maxInactiveDays: null,
+      maxPublishAgeDays: null,
+      starlightPeer: false,
+    };
+    assert.deepEqual(maintenanceIssues(item, lenient, context), []);
+  });
+});
+
+describe("toPackageMetadata()", () => {
+  test("keeps the latest release and its tracked peers", () => {
+    const metadata = toPackageMetadata({
+      "dist-tags": { latest: "2.0.0" },
+      versions: {
+        "1.0.0": { peerDependencies: { "@astrojs/starlight": "^0.20.0" } },
+        "2.0.0": {
+          dependencies: { astro: "^5.0.0", kleur: "^4.0.0" },
+          peerDependencies: { "@astrojs/starlight": ">=0.30.0" },
+        },
+      },
+      time: { "2.0.0": "2026-05-01T00:00:00.000Z" },
+    });
+    assert.deepEqual(metadata, {
+      version: "2.0.0",
+      publishedAt: "2026-05-01T00:00:00.000Z",
+      peers: { "@astrojs/starlight": ">=0.30.0", astro: "^5.0.0" },
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  findHeadings,
+  findJsxElements,
+  parseJsLiteral,
+} from "../scripts/lib/mdx.js";
+import {
+  parseCardComponent,
+  parseLinkCard,
+  parseThemeGrid,
+  parseYouTubeGrid,
+  starlightDocs,
+} from "../scripts/sources/starlight-docs.js";
+
+const SOURCES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "sources",
+);
+
+const readSource = (name) => fs.readFile(path.join(SOURCES, name), "utf-8");
+
+describe("parseLinkCard", () => {
+  test("reads cards regardless of attribute order, quoting and line breaks", async () => {
+    const links = parseLinkCard(await readSource("plugins.mdx"));
+
+    assert.deepEqual(
+      links.map((l) => l.title),
+      [
+        "starlight-blog",
+        "starlight-links-validator",
+        "starlight-quotes",
+        "starlight-entities",
+        "starlight-expressions",
+        "starlight-multiline",
+        "starlight-no-description",
+      ],
+    );
+    assert.deepEqual(links[1], {
+      title: "starlight-links-validator",
+      url: "https://github.com/HiDeoo/starlight-links-validator",
+      description: "Check for broken links in your Starlight pages.",
+      section: "Community plugins",
+    });
+  });
+
+  test("keeps quotes, entities and expressions inside values", async () => {
+    const links = parseLinkCard(await readSource("plugins.mdx"));
+    const byTitle = Object.fromEntries(links.map((l) => [l.title, l]));
+
+    assert.equal(
+      byTitle["starlight-quotes"].description,
+      'Don’t lose track: "quoted" words -> arrows > are fine.',
+    );
+    assert.equal(
+      byTitle["starlight-entities"].description,
+      'Uses "HTML entities" & more.',
+    );
+    assert.equal(
+      byTitle["starlight-expressions"].description,
+      'Props written as "JSX expressions" with escaped quotes.',
+    );
+    assert.equal(
+      byTitle["starlight-expressions"].url,
+      "https://github.com/example/starlight-expressions",
+    );
+    assert.match(byTitle["starlight-multiline"].description, /wrapped\s+over/);
+    assert.equal(byTitle["starlight-no-description"].description, "");
+  });
+
+  test("skips relative links and commented-out cards", async () => {
+    const urls = parseLinkCard(await readSource("plugins.mdx")).map(
+      (l) => l.url,
+    );
+
+    assert.ok(!urls.some((u) => u.startsWith("/")));
+    assert.ok(!urls.some((u) => u.includes("commented-out")));
+  });
+});
+
+describe("parseCardComponent", () => {
+  test("reads showcase cards in any attribute order", async () => {
+    const cards = parseCardComponent(await readSource("showcase-sites.astro"));
+
+    assert.deepEqual(cards, [
+      { title: "Athena OS", url: "https://athenaos.org/", description: "" },
+      { title: "Pi-hole", url: "https://docs.pi-hole.net/", description: "" },
+      {
+        title: "Company's Docs",
+        url: "https://docs.company.example.com/",
+        description: "",
+      },
+    ]);
+  });
+
+  test("does not match other components starting with Card", () => {
+    const content = `<CardGrid stagger><Card title="A" href="https://a.example.com" /></CardGrid>`;
+    assert.equal(parseCardComponent(content).length, 1);
+  });
+});
+
+describe("parseThemeGrid", () => {
+  test("reads themes regardless of property order and quoting", async () => {
+    const themes = parseThemeGrid(await readSource("themes.mdx"));
+
+    assert.deepEqual(themes, [
+      {
+        title: "Rapide",
+        url: "https://starlight-theme-rapide.vercel.app/",
+        description:
+          "Starlight theme inspired by the Visual Studio Code Vitesse theme.",
+      },
+      {
+        title: "Catppuccin",
+        url: "https://starlight-theme-catppuccin.pages.dev/",
+        description: "Soothing pastel theme for Starlight.",
+      },
+      {
+        title: "Escaped",
+        url: "https://starlight-theme-escaped.example.com/",
+        description:
+          "It's a theme with an escaped quote, {braces} and a, comma.",
+      },
+      {
+        title: "Template",
+        url: "https://starlight-theme-template.example.com/",
+        description: "",
+      },
+    ]);
+  });
+});
+
+describe("parseYouTubeGrid", () => {
+  test("reads every grid on the page in any property order", async () => {
+    const videos = parseYouTubeGrid(await readSource("community-content.mdx"));
+
+    assert.deepEqual(
+      videos.map((v) => [v.title, v.url]),
+      [
+        ["Starlight by Astro", "https://www.youtube.com/watch?v=5u0Ds7wzUeI"],
+        [
+          "Astro's Starlight in 100 seconds",
+          "https://www.youtube.com/watch?v=abc123",
+        ],
+        ["No description", "https://www.youtube.com/watch?v=def456"],
+      ],
+    );
+  });
+
+  test("records the heading each grid is listed under", async () => {
+    const videos = parseYouTubeGrid(await readSource("community-content.mdx"));
+    const articles = parseLinkCard(await readSource("community-content.mdx"));
+
+    assert.deepEqual(
+      videos.map((v) => v.section),
+      ["Starlight videos", "Community videos", "Community videos"],
+    );
+    assert.ok(articles.every((a) => a.section === "Articles and reviews"));
+  });
+
+  test("returns an empty list when there is no grid", () => {
+    assert.deepEqual(parseYouTubeGrid("# No videos here"), []);
+  });
+});
+
+describe("mdx helpers", () => {
+  test("findJsxElements skips malformed tags and keeps going", () => {
+    const elements = findJsxElements(
+      `<LinkCard title="broken /> <LinkCard title="ok" href="https://ok.example.com" />`,
+      "LinkCard",
+    );
+    assert.ok(elements.some((e) => e.attributes.title === "ok"));
+  });
+
+  test("findHeadings skips code blocks and comments", () => {
+    const content = [
+      "## Plugins",
+      "```md",
+      "## Not a heading",
+      "```",
+      "{/* ### Hidden */}",
+      "### Search providers ##",
+    ].join("\n");
+    assert.deepEqual(findHeadings(content), [
+      { depth: 2, text: "Plugins", index: 0 },
+      { depth: 3, text: "Search providers", index: content.indexOf("### S") },
+    ]);
+  });
+
+  test("parseJsLiteral handles nested values and identifiers", () => {
+    assert.deepEqual(
+      parseJsLiteral(`[{ a: 1, b: [true, null], 'c': "x", d: img.src, e }]`),
+      [
+        {
+          a: 1,
+          b: [true, null],
+          c: "x",
+          d: { identifier: "img.src" },
+          e: { identifier: "e" },
+        },
+      ],
+    );
+  });
+});
+
+describe("starlight-docs source", () => {
+  test("fails loudly when a source parses to zero items", async () => {
+    const context = {
+      fetchText: async (url) =>
+        url.endsWith("themes.mdx")
+          ? "# Themes moved"
+          : readSource("plugins.mdx"),
+    };
+
+    await assert.rejects(
+      () => starlightDocs.fetch(context, starlightDocs.defaults),
+      /themes\.mdx/,
+    );
+  });
+});
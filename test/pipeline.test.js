@@ -0,0 +1,690 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AwesomeStarlightUpdater } from "../scripts/update-list.js";
+import { entryId } from "../scripts/lib/entry-store.js";
+import { HttpClient } from "../scripts/lib/http.js";
+import { registerSource } from "../scripts/sources/index.js";
+
+// test/fixtures/http is a trimmed snapshot of the upstream sources, recorded
+// with `node scripts/update-list.js --dry-run --record <dir>` and replayed here
+// without network access.
+const FIXTURES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+);
+const GOLDEN = path.join(FIXTURES, "golden");
+
+// Set UPDATE_GOLDEN=1 to accept the current output as the new golden files
+const UPDATE_GOLDEN = Boolean(process.env.UPDATE_GOLDEN);
+
+async function createSite() {
+  const rootDir = await fs.mkdtemp(
+    path.join(os.tmpdir(), "awesome-starlight-"),
+  );
+  await fs.cp(path.join(FIXTURES, "site"), rootDir, { recursive: true });
+  return rootDir;
+}
+
+async function runUpdate(rootDir, now, options = {}) {
+  const http = new HttpClient({
+    mode: "replay",
+    fixturesDir: path.join(FIXTURES, "http"),
+  });
+  const updater = new AwesomeStarlightUpdater({
+    rootDir,
+    now,
+    http,
+    ...options,
+  });
+  await updater.collectAllData();
+  await updater.writeOutputs();
+  if (options.reportDir) await updater.writeChangeReport(options.reportDir);
+  assert.deepEqual(http.missing, [], "every request has a recorded fixture");
+  return updater;
+}
+
+async function assertGolden(actualPath, name) {
+  const actual = await fs.readFile(actualPath, "utf-8");
+  const goldenPath = path.join(GOLDEN, name);
+  if (UPDATE_GOLDEN) await fs.writeFile(goldenPath, actual, "utf-8");
+  assert.equal(actual, await fs.readFile(goldenPath, "utf-8"));
+}
+
+test("full pipeline against recorded fixtures matches the golden output", async () => {
+  const rootDir = await createSite();
+  try {
+    await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+
+    await assertGolden(path.join(rootDir, "README.md"), "README.md");
+    await assertGolden(
+      path.join(rootDir, "data", "entries.json"),
+      "entries.json",
+    );
+
+    const store = JSON.parse(
+      await fs.readFile(path.join(rootDir, "data", "entries.json"), "utf-8"),
+    );
+    const api = JSON.parse(
+      await fs.readFile(
+        path.join(rootDir, "site", "api", "entries.json"),
+        "utf-8",
+      ),
+    );
+    assert.deepEqual(api.entries, store.entries);
+    assert.equal(api.generatedAt, store.updatedAt);
+    await fs.access(path.join(rootDir, "site", "index.html"));
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("a second run keeps first-seen dates and refreshes validation dates", async () => {
+  const rootDir = await createSite();
+  try {
+    await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    const updater = await runUpdate(rootDir, new Date("2026-10-25T03:00:00Z"));
+
+    const entries = [...updater.store.entries.values()];
+    assert.ok(entries.length > 0);
+    for (const entry of entries) {
+      assert.equal(entry.firstSeen, "2026-10-18", entry.id);
+    }
+
+    const validated = entries.find((e) => e.source === "astro-showcase");
+    assert.equal(validated.lastValidated, "2026-10-25");
+    // Only validation dates changed: the generated files stay as they were
+    assert.equal(updater.store.updatedAt, "2026-10-18T03:00:00.000Z");
+    assert.deepEqual(updater.changedFiles, []);
+    // ...but the failing links failed once more, which must be kept
+    assert.equal(updater.hasChanges(), true);
+    updater.failuresBefore = updater.linkFailures();
+    assert.equal(updater.hasChanges(), false);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("entries added since the first run are listed as recent and in the feed", async () => {
+  const rootDir = await createSite();
+  const storePath = path.join(rootDir, "data", "entries.json");
+  try {
+    const first = await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    let readme = await fs.readFile(path.join(rootDir, "README.md"), "utf-8");
+    assert.doesNotMatch(readme, /## Recently Added/);
+
+    // Forget starlight-blog so the next run adds it again
+    const store = JSON.parse(await fs.readFile(storePath, "utf-8"));
+    assert.equal(store.createdAt, "2026-10-18");
+    store.entries = store.entries.filter(
+      (entry) => entry.id !== "https://github.com/hideoo/starlight-blog",
+    );
+    await fs.writeFile(storePath, JSON.stringify(store));
+
+    const second = await runUpdate(rootDir, new Date("2026-10-25T03:00:00Z"));
+    readme = await fs.readFile(path.join(rootDir, "README.md"), "utf-8");
+    assert.match(
+      readme,
+      /<!-- AUTOMATED_CONTENT_START -->\n\n## Recently Added\n\nAdded in the last 4 weeks, newest first:\n\n- \[starlight-blog\]\(https:\/\/github\.com\/HiDeoo\/starlight-blog\) - .* _\(Plugins & Integrations, added 2026-10-25\)_\n\n## Plugins & Integrations/,
+    );
+    // Listed again under Plugins without being reported as a duplicate
+    assert.equal(second.readmeProblems.length, first.readmeProblems.length);
+
+    const feed = await fs.readFile(path.join(rootDir, "feed.xml"), "utf-8");
+    assert.equal(feed.match(/<entry>/g).length, 1);
+    assert.match(feed, /<title>starlight-blog<\/title>/);
+    assert.match(feed, /<updated>2026-10-25T00:00:00\.000Z<\/updated>/);
+    assert.match(
+      feed,
+      /<category term="plugins" label="Plugins &amp; Integrations"\/>/,
+    );
+    assert.match(
+      feed,
+      /<summary>Add a blog to your documentation site\.<\/summary>/,
+    );
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("entries no source returns any more stay listed for a while", async () => {
+  const rootDir = await createSite();
+  const storePath = path.join(rootDir, "data", "entries.json");
+  const reportDir = path.join(rootDir, "report");
+  try {
+    await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    const store = JSON.parse(await fs.readFile(storePath, "utf-8"));
+    store.entries.push({
+      id: "https://vanished.example.com",
+      title: "starlight-vanished",
+      url: "https://vanished.example.com",
+      description: "Was found by the npm search last time.",
+      category: "plugins",
+      source: "npm",
+      firstSeen: "2026-09-01",
+      lastValidated: "2026-10-11",
+    });
+    await fs.writeFile(storePath, JSON.stringify(store));
+
+    let updater = await runUpdate(rootDir, new Date("2026-10-25T03:00:00Z"), {
+      reportDir,
+    });
+    const kept = updater.store.get("https://vanished.example.com");
+    assert.equal(kept.firstSeen, "2026-09-01");
+    assert.equal(kept.lastValidated, "2026-10-11");
+    assert.equal(kept.missingSince, "2026-10-25");
+    const readme = await fs.readFile(path.join(rootDir, "README.md"), "utf-8");
+    assert.match(readme, /- \[starlight-vanished\]\(https:\/\/vanished/);
+    assert.doesNotMatch(readme, /## Recently Added/);
+    assert.deepEqual(updater.changes.removed, []);
+
+    updater = await runUpdate(rootDir, new Date("2026-11-29T03:00:00Z"));
+    assert.equal(updater.store.get("https://vanished.example.com"), undefined);
+    assert.deepEqual(
+      updater.changes.removed.map((e) => [e.title, e.reason]),
+      [["starlight-vanished", "not found by any source since 2026-10-25"]],
+    );
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("the change report explains additions, removals and moves", async () => {
+  const rootDir = await createSite();
+  const reportDir = path.join(rootDir, "report");
+  const previous = (id, category, extra = {}) => ({
+    id,
+    title: id,
+    url: id,
+    description: "",
+    category,
+    source: "npm",
+    firstSeen: "2026-01-01",
+    lastValidated: "2026-01-01",
+    ...extra,
+  });
+
+  try {
+    await fs.writeFile(
+      path.join(rootDir, "data", "entries.json"),
+      JSON.stringify({
+        version: 1,
+        entries: [
+          previous("https://github.com/someone/starlight-forked", "plugins"),
+          previous("https://starlight.astro.build", "plugins"),
+          previous("https://github.com/Linkerin/starlight-to-pdf", "plugins", {
+            description:
+              "CLI tool to convert Astro Starlight documentation websites to PDF.",
+          }),
+          previous("https://github.com/HiDeoo/starlight-blog", "plugins", {
+            description: "Old description.",
+          }),
+        ],
+      }),
+    );
+
+    await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"), { reportDir });
+    const changes = JSON.parse(
+      await fs.readFile(path.join(reportDir, "changes.json"), "utf-8"),
+    );
+    assert.equal(changes.changed, true);
+
+    const removed = Object.fromEntries(
+      changes.removed.map((e) => [e.url, e.reason]),
+    );
+    assert.equal(
+      removed["https://github.com/someone/starlight-forked"],
+      "fork",
+    );
+    assert.equal(
+      removed["https://starlight.astro.build"],
+      "excluded by overrides",
+    );
+    assert.deepEqual(
+      changes.moved.map((e) => [e.title, e.from, e.to]),
+      [["starlight-to-pdf", "plugins", "tools"]],
+    );
+    assert.deepEqual(
+      changes.descriptionChanged.map((e) => [e.title, e.from]),
+      [["starlight-blog", "Old description."]],
+    );
+    assert.ok(changes.added.some((e) => e.title === "Pixel Docs"));
+
+    const markdown = await fs.readFile(
+      path.join(reportDir, "changes.md"),
+      "utf-8",
+    );
+    assert.match(markdown, /### Removed/);
+    assert.match(markdown, /Plugins & Integrations → Tools/);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("listed entries with failing links are kept until the grace period ends", async () => {
+  const rootDir = await createSite();
+  const storePath = path.join(rootDir, "data", "entries.json");
+  const gone = "https://gone.example.com";
+
+  try {
+    await fs.writeFile(
+      storePath,
+      JSON.stringify({
+        version: 1,
+        entries: [
+          {
+            id: gone,
+            title: "Gone Docs",
+            url: gone,
+            description: "",
+            category: "showcases",
+            source: "astro-showcase",
+            firstSeen: "2026-01-01",
+            lastValidated: "2026-09-27",
+          },
+        ],
+      }),
+    );
+
+    let updater = await runUpdate(rootDir, new Date("2026-10-04T03:00:00Z"));
+    assert.equal(updater.store.get(gone)?.lastValidated, "2026-09-27");
+
+    updater = await runUpdate(rootDir, new Date("2026-10-11T03:00:00Z"));
+    assert.ok(updater.store.get(gone), "still within the grace period");
+    assert.deepEqual(
+      updater.degradedLinks().map((d) => [d.url, d.consecutiveFailures]),
+      [[gone, 2]],
+    );
+
+    updater = await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    assert.equal(updater.store.get(gone), undefined);
+    assert.deepEqual(updater.changes.removed, [
+      {
+        id: gone,
+        title: "Gone Docs",
+        url: gone,
+        category: "showcases",
+        reason: "dead link (HTTP 404, failing since 2026-10-04)",
+      },
+    ]);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("a first run without a store starts from the entries the README lists", async () => {
+  const rootDir = await createSite();
+  const readmePath = path.join(rootDir, "README.md");
+  const versions =
+    "https://github.com/tools/docs-kit/tree/HEAD/packages/starlight-versions";
+  const gone = "https://gone.example.com";
+  const vanished = "https://vanished.example.com";
+
+  try {
+    const readme = await fs.readFile(readmePath, "utf-8");
+    await fs.writeFile(
+      readmePath,
+      readme.replace(
+        "Stale content that the update replaces.",
+        [
+          "## Plugins & Integrations",
+          "",
+          `- [@docs-kit/starlight-versions](${versions}) - Versioned docs.`,
+          `- [starlight-vanished](${vanished}) - Listed by hand long ago.`,
+          "",
+          "## Showcases",
+          "",
+          `- [Gone Docs](${gone})`,
+          "",
+          "## Unmaintained / Archived",
+          "",
+          "- [Old Theme](https://old-theme.example.com) - Archived.",
+        ].join("\n"),
+      ),
+    );
+    await assert.rejects(fs.access(path.join(rootDir, "data", "entries.json")));
+
+    const updater = await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    // Held for review, but already listed: it stays where it was
+    assert.deepEqual(
+      updater.review.map((entry) => [entry.title, entry.listedAs]),
+      [["@docs-kit/starlight-versions", "plugins"]],
+    );
+    assert.equal(updater.store.get(entryId(versions))?.category, "plugins");
+    assert.ok(updater.store.get(gone), "failing link within the grace period");
+    assert.equal(updater.store.get(vanished)?.missingSince, "2026-10-18");
+    assert.equal(updater.store.get("https://old-theme.example.com"), undefined);
+    assert.deepEqual(updater.changes.removed, []);
+
+    const written = await fs.readFile(readmePath, "utf-8");
+    assert.match(written, /- \[Gone Docs\]\(https:\/\/gone\.example\.com\)/);
+    assert.doesNotMatch(written, /## Recently Added/);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("compatibility.latestOnly drops entries excluding the current Starlight", async () => {
+  const rootDir = await createSite();
+  try {
+    await fs.writeFile(
+      path.join(rootDir, "awesome-starlight.config.yml"),
+      "compatibility:\n  latestOnly: true\n",
+    );
+    const updater = await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+
+    const titles = [...updater.store.entries.values()].map((e) => e.title);
+    assert.ok(titles.includes("starlight-blog"));
+    assert.ok(!titles.includes("starlight-sidebar-topics"));
+    assert.ok(!titles.includes("starlight-announcement"));
+    assert.equal(
+      updater.dropReasons.get(
+        "https://github.com/hideoo/starlight-sidebar-topics",
+      ),
+      "incompatible with @astrojs/starlight 0.36.1",
+    );
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("rendering shows the chosen metadata after the entries of a section", async () => {
+  const rootDir = await createSite();
+  try {
+    await fs.writeFile(
+      path.join(rootDir, "awesome-starlight.config.yml"),
+      [
+        "rendering:",
+        "  plugins:",
+        "    fields: [stars, downloads, updated, license]",
+        "  tools:",
+        "    fields: [stars, license]",
+        "    style: badges",
+        "",
+      ].join("\n"),
+    );
+    const updater = await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    const readme = await fs.readFile(path.join(rootDir, "README.md"), "utf-8");
+
+    const blog = updater.store.get("https://github.com/hideoo/starlight-blog");
+    assert.equal(typeof blog.npm.weeklyDownloads, "number");
+    assert.match(
+      readme,
+      /\(Starlight 0\.34\+\) — ★ 310 · [\d.]+k? downloads\/week · released 2026-09-28 · MIT\n/,
+    );
+    assert.match(
+      readme,
+      /\(Astro 4\+\) !\[stars: 60\]\(https:\/\/img\.shields\.io\/badge\/stars-60-blue\) !\[license: MIT\]/,
+    );
+    // Sections without fields are unchanged
+    assert.doesNotMatch(readme, /## Themes\n\n[^#]*★/);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("output targets write MDX, feeds and OPML next to the README", async () => {
+  const rootDir = await createSite();
+  try {
+    await fs.writeFile(
+      path.join(rootDir, "awesome-starlight.config.yml"),
+      [
+        "outputs:",
+        "  docs:",
+        "    format: mdx",
+        "    file: docs/resources.mdx",
+        "    title: Community resources",
+        "    sections:",
+        "      - category: plugins",
+        "        layout: subcategories",
+        "  feed:",
+        "    format: atom",
+        "    file: feed.xml",
+        "    link: https://github.com/trueberryless-org/awesome-starlight",
+        "  opml:",
+        "    format: opml",
+        "    file: awesome-starlight.opml",
+        "",
+      ].join("\n"),
+    );
+    const updater = await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    const read = (file) => fs.readFile(path.join(rootDir, file), "utf-8");
+
+    // The README target keeps its defaults
+    await assertGolden(path.join(rootDir, "README.md"), "README.md");
+
+    const mdx = await read("docs/resources.mdx");
+    assert.match(mdx, /^---\ntitle: "Community resources"\n---\n/);
+    assert.match(mdx, /<LinkCard title="starlight-blog" href=/);
+    assert.doesNotMatch(mdx, /## Themes/);
+
+    // Nothing was added yet: everything was listed by the first run
+    const feed = await read("feed.xml");
+    assert.match(feed, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+    assert.doesNotMatch(feed, /<entry>/);
+
+    const entries = Array.from(updater.store.entries.values());
+
+    const opml = await read("awesome-starlight.opml");
+    assert.match(opml, /<outline text="Plugins &amp; Integrations">/);
+    assert.equal(opml.match(/type="link"/g).length, entries.length);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("missing and boilerplate descriptions are backfilled and kept", async () => {
+  const rootDir = await createSite();
+  const configPath = path.join(rootDir, "awesome-starlight.config.yml");
+  try {
+    await fs.writeFile(configPath, "descriptions:\n  llm: true\n");
+    const updater = await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+
+    const described = (url, { store } = updater) => {
+      const { description, descriptionSource } = store.get(url);
+      return { description, descriptionSource };
+    };
+    // npm description copied from Starlight → repository description
+    assert.deepEqual(described("https://github.com/acme/starlight-kbd"), {
+      description: "Render keyboard shortcuts in your Starlight pages.",
+      descriptionSource: "github",
+    });
+    assert.deepEqual(described("https://docs.pixel.example.com"), {
+      description:
+        "Documentation for the Pixel UI kit: components, tokens & recipes.",
+      descriptionSource: "page",
+    });
+    // Boilerplate meta description → summary of the page text
+    assert.deepEqual(described("https://starlight-blog-docs.vercel.app"), {
+      description:
+        "A demo of the starlight-blog plugin with posts, tags and authors.",
+      descriptionSource: "ai",
+    });
+
+    await fs.rm(configPath);
+    const overridesPath = path.join(rootDir, "data", "overrides.yml");
+    const overrides = await fs.readFile(overridesPath, "utf-8");
+    await fs.writeFile(
+      overridesPath,
+      overrides.replace(
+        "entries:\n",
+        'entries:\n  - match:\n      package: starlight-kbd\n    description: ""\n',
+      ),
+    );
+    const next = await runUpdate(rootDir, new Date("2026-10-25T03:00:00Z"));
+    assert.equal(
+      next.store.get("https://starlight-blog-docs.vercel.app").description,
+      "A demo of the starlight-blog plugin with posts, tags and authors.",
+    );
+    // Set in data/overrides.yml, even to nothing → kept as is
+    assert.deepEqual(described("https://github.com/acme/starlight-kbd", next), {
+      description: "",
+      descriptionSource: "override",
+    });
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("the README gets a fresh table of contents and its problems are reported", async () => {
+  const rootDir = await createSite();
+  const reportDir = path.join(rootDir, "report");
+  try {
+    await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"), { reportDir });
+
+    const readme = await fs.readFile(path.join(rootDir, "README.md"), "utf-8");
+    assert.doesNotMatch(readme, /Stale Section/);
+    assert.match(readme, /- \[Tools\]\(#tools\)\n/);
+    assert.doesNotMatch(readme, /\(#license\)/);
+
+    const report = JSON.parse(
+      await fs.readFile(path.join(reportDir, "changes.json"), "utf-8"),
+    );
+    assert.deepEqual(
+      report.readme.map(({ rule, message }) => [rule, message]),
+      [
+        [
+          "description-case",
+          "Old Guide: description should start with a capital letter",
+        ],
+        [
+          "description-punctuation",
+          "Old Guide: description should end with punctuation",
+        ],
+        ["link", "https://gone.example.com/guide: dead link (HTTP 404)"],
+        [
+          "duplicate",
+          "Starlight Blog: https://starlight-blog-docs.vercel.app/ is already listed on line 21",
+        ],
+        ["anchor", "link to #elsewhere matches no heading"],
+      ],
+    );
+    assert.match(
+      await fs.readFile(path.join(reportDir, "changes.md"), "utf-8"),
+      /## README problems\n\n- Line 20: Old Guide: description should start/,
+    );
+
+    await fs.writeFile(
+      path.join(rootDir, "awesome-starlight.config.yml"),
+      "readme:\n  strict: true\n",
+    );
+    await assert.rejects(
+      runUpdate(rootDir, new Date("2026-10-25T03:00:00Z")),
+      /README.md has 5 problem\(s\)/,
+    );
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("a failing source keeps its entries from the previous run", async () => {
+  const rootDir = await createSite();
+  const reportDir = path.join(rootDir, "report");
+  registerSource(
+    {
+      name: "flaky-showcase",
+      provenance: ["astro-showcase"],
+      defaults: { enabled: false },
+      async fetch() {
+        throw new Error("upstream unavailable");
+      },
+    },
+    { before: "astro-showcase" },
+  );
+  try {
+    const first = await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    const showcases = [...first.store.entries.values()]
+      .filter((entry) => entry.source === "astro-showcase")
+      .map((entry) => entry.id);
+    assert.ok(showcases.length > 0);
+
+    await fs.writeFile(
+      path.join(rootDir, "awesome-starlight.config.yml"),
+      "sources:\n  astro-showcase:\n    enabled: false\n  flaky-showcase:\n    enabled: true\n",
+    );
+    const second = await runUpdate(rootDir, new Date("2026-10-25T03:00:00Z"), {
+      reportDir,
+    });
+
+    for (const id of showcases) assert.ok(second.store.get(id), id);
+    assert.deepEqual(second.changes.removed, []);
+    assert.deepEqual(
+      second.sourceResults.find((r) => r.name === "flaky-showcase"),
+      {
+        name: "flaky-showcase",
+        ok: false,
+        error: "upstream unavailable",
+        count: showcases.length,
+      },
+    );
+    assert.match(
+      await fs.readFile(path.join(reportDir, "changes.md"), "utf-8"),
+      /## Failed sources\n\n- flaky-showcase: upstream unavailable/,
+    );
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("uncertain categorizations wait for review unless an override settles them", async () => {
+  const rootDir = await createSite();
+  try {
+    await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    const review = JSON.parse(
+      await fs.readFile(path.join(rootDir, "data", "review.json"), "utf-8"),
+    );
+    assert.deepEqual(
+      review.map((entry) => [entry.title, entry.reason]),
+      [["@docs-kit/starlight-versions", "low confidence (0.55)"]],
+    );
+
+    const overridesPath = path.join(rootDir, "data", "overrides.yml");
+    const overrides = await fs.readFile(overridesPath, "utf-8");
+    await fs.writeFile(
+      overridesPath,
+      overrides.replace(
+        "entries:\n",
+        'entries:\n  - match:\n      package: "@docs-kit/starlight-versions"\n    category: tools\n',
+      ),
+    );
+    const updater = await runUpdate(rootDir, new Date("2026-10-25T03:00:00Z"));
+
+    const versions = [...updater.store.entries.values()].find(
+      (entry) => entry.title === "@docs-kit/starlight-versions",
+    );
+    assert.equal(versions?.category, "tools");
+    assert.deepEqual(updater.review, []);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("unchanged items reuse their cached categorization unless recategorizing", async () => {
+  const rootDir = await createSite();
+  try {
+    await runUpdate(rootDir, new Date("2026-10-18T03:00:00Z"));
+    const cachePath = path.join(rootDir, "data", "categories.json");
+    const first = JSON.parse(await fs.readFile(cachePath, "utf-8"));
+    assert.ok(Object.keys(first.items).length > 0);
+
+    const reused = await runUpdate(rootDir, new Date("2026-10-25T03:00:00Z"));
+    for (const record of reused.categories.items.values()) {
+      assert.equal(record.categorizedAt, "2026-10-18", record.title);
+      assert.equal(record.lastUsed, "2026-10-25", record.title);
+    }
+    // Held items stay held: the cached answers are judged again
+    assert.equal(reused.review.length, 1);
+
+    const redone = await runUpdate(rootDir, new Date("2026-11-01T03:00:00Z"), {
+      recategorize: true,
+    });
+    for (const record of redone.categories.items.values()) {
+      assert.equal(record.categorizedAt, "2026-11-01", record.title);
+    }
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  checkAnchors,
+  headingAnchors,
+  lintListItems,
+  readmeEntries,
+  rebuildToc,
+  sectionLines,
+} from "../scripts/lib/readme.js";
+
+const readme = `# Awesome [![Awesome](https://awesome.re/badge.svg)](https://awesome.re)
+
+## Contents
+
+- [Gone](#gone)
+
+## Plugins & Integrations
+
+### Other
+
+- [starlight-blog](https://github.com/HiDeoo/starlight-blog) - Add a blog.
+
+## Themes
+
+### Other
+
+\`\`\`md
+## Not a heading
+\`\`\`
+
+## License
+
+MIT
+`;
+
+describe("headingAnchors()", () => {
+  test("numbers repeated anchors like GitHub", () => {
+    assert.deepEqual(
+      headingAnchors(readme).map(({ anchor, line }) => [anchor, line]),
+      [
+        ["awesome", 1],
+        ["contents", 3],
+        ["plugins--integrations", 7],
+        ["other", 9],
+        ["themes", 13],
+        ["other-1", 15],
+        ["license", 21],
+      ],
+    );
+  });
+});
+
+describe("rebuildToc()", () => {
+  test("lists the second-level headings after Contents", () => {
+    const rebuilt = rebuildToc(readme, { exclude: ["License"] });
+    assert.match(
+      rebuilt,
+      /## Contents\n\n- \[Plugins & Integrations\]\(#plugins--integrations\)\n- \[Themes\]\(#themes\)\n\n## Plugins/,
+    );
+    assert.equal(rebuildToc(rebuilt, { exclude: ["License"] }), rebuilt);
+  });
+
+  test("leaves READMEs without a Contents heading alone", () => {
+    assert.equal(rebuildToc("# Title\n\n## A\n"), "# Title\n\n## A\n");
+  });
+});
+
+describe("checkAnchors()", () => {
+  test("reports anchors matching no heading", () => {
+    assert.deepEqual(checkAnchors(`${readme}\nSee [other](#other-1).\n`), [
+      { rule: "anchor", line: 5, message: "link to #gone matches no heading" },
+    ]);
+  });
+});
+
+describe("lintListItems()", () => {
+  test("checks descriptions and reports links listed twice", () => {
+    const list = [
+      "- [A](https://a.dev) - fine description",
+      "- [B](https://b.dev/) - Starts well",
+      "- [C](https://c.dev)",
+      "- [A again](https://a.dev/) - Listed twice.",
+    ].join("\n");
+    assert.deepEqual(
+      lintListItems(list).map(({ rule, line }) => [rule, line]),
+      [
+        ["description-case", 1],
+        ["description-punctuation", 1],
+        ["description-punctuation", 2],
+        ["duplicate", 4],
+      ],
+    );
+    assert.deepEqual(
+      lintListItems(list, { descriptionOf: () => "Stored one." }).map(
+        ({ rule }) => rule,
+      ),
+      ["duplicate"],
+    );
+    assert.deepEqual(
+      lintListItems(list, { repeats: (item) => item.line === 4 }).map(
+        ({ rule }) => rule,
+      ),
+      [
+        "description-case",
+        "description-punctuation",
+        "description-punctuation",
+      ],
+    );
+  });
+});
+
+describe("sectionLines()", () => {
+  test("spans a second-level section up to the next one", () => {
+    assert.deepEqual(sectionLines(readme, "Plugins & Integrations"), {
+      from: 7,
+      to: 12,
+    });
+    assert.deepEqual(sectionLines(readme, "License"), { from: 21, to: 24 });
+    assert.equal(sectionLines(readme, "Videos"), null);
+  });
+});
+
+describe("readmeEntries()", () => {
+  test("reads the category sections between the markers", () => {
+    const markdown = [
+      "- [Outside](https://outside.example.com) - Not automated.",
+      "<!-- AUTOMATED_CONTENT_START -->",
+      "## Recently Added",
+      "- [Blog](https://blog.example.com) - Repeated below.",
+      "## Plugins & Integrations",
+      "### Content",
+      "- [Blog](https://blog.example.com) - Blog plugin.",
+      "## Themes",
+      "- [Ion](https://ion.example.com)",
+      "## Unmaintained / Archived",
+      "- [Old](https://old.example.com) - Archived.",
+      "<!-- AUTOMATED_CONTENT_END -->",
+    ].join("\n");
+    const entries = readmeEntries(markdown);
+    assert.deepEqual(entries.plugins, [
+      {
+        title: "Blog",
+        url: "https://blog.example.com",
+        description: "Blog plugin.",
+      },
+    ]);
+    assert.deepEqual(entries.themes, [
+      { title: "Ion", url: "https://ion.example.com", description: "" },
+    ]);
+    assert.deepEqual(entries.tools, []);
+    assert.deepEqual(readmeEntries("- [A](https://a.example.com)").plugins, []);
+  });
+});
@@ -0,0 +1,319 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  fillTemplate,
+  renderOutput,
+  replaceBetweenMarkers,
+  resolveOutputs,
+  validateOutputs,
+} from "../scripts/lib/render.js";
+
+const entries = [
+  {
+    title: "starlight-blog",
+    url: "https://github.com/hideoo/starlight-blog",
+    description: "Blog plugin for Starlight.",
+    category: "plugins",
+    subcategory: "content",
+    firstSeen: "2026-09-01",
+    compatibility: { "@astrojs/starlight": { label: "0.34+" } },
+  },
+  {
+    title: "Old plugin",
+    url: "https://github.com/acme/old-plugin",
+    description: "Does things.",
+    category: "plugins",
+    firstSeen: "2026-01-10",
+    unmaintained: ["archived", "no commit since 2023-01-01"],
+  },
+  {
+    title: "Acme & Co docs",
+    url: "https://docs.acme.example.com/",
+    description: 'The "Acme" manual.',
+    category: "showcases",
+    firstSeen: "2026-10-18",
+  },
+  {
+    title: "Starlight in 5 minutes",
+    url: "https://www.youtube.com/watch?v=abc",
+    category: "videos",
+    section: "Tutorials",
+    firstSeen: "2026-10-04",
+  },
+];
+
+const data = {
+  entries,
+  sectionOrder: new Map(),
+  rendering: {},
+  createdAt: "2026-01-10",
+  generatedAt: "2026-10-18T03:00:00.000Z",
+};
+
+const target = (options) => resolveOutputs({ test: options })[0];
+
+describe("fillTemplate()", () => {
+  test("fills values and keeps conditional blocks when the value is set", () => {
+    const template =
+      "[{{title}}]{{#description}}: {{description}}{{/description}}{{^description}} (no description){{/description}}";
+    assert.equal(
+      fillTemplate(template, { title: "A", description: "B" }),
+      "[A]: B",
+    );
+    assert.equal(
+      fillTemplate(template, { title: "A", description: "" }),
+      "[A] (no description)",
+    );
+    assert.equal(
+      fillTemplate("{{title}}", { title: "<b>" }, (v) => v.toUpperCase()),
+      "<B>",
+    );
+  });
+});
+
+describe("renderOutput()", () => {
+  test("renders the README sections with the default item format", () => {
+    const markdown = renderOutput(target({ file: "README.md" }), data);
+    assert.equal(
+      markdown,
+      `## Recently Added
+
+Added in the last 4 weeks, newest first:
+
+- [Acme & Co docs](https://docs.acme.example.com/) - The "Acme" manual. _(Showcases, added 2026-10-18)_
+- [Starlight in 5 minutes](https://www.youtube.com/watch?v=abc) _(Videos, added 2026-10-04)_
+
+## Plugins & Integrations
+
+- [Content & Markdown](#content--markdown)
+
+### Content & Markdown
+
+- [starlight-blog](https://github.com/hideoo/starlight-blog) - Blog plugin for Starlight. (Starlight 0.34+)
+
+## Showcases
+
+Real-world documentation sites built with Starlight:
+
+- [Acme & Co docs](https://docs.acme.example.com/) - The "Acme" manual.
+
+## Videos
+
+Video tutorials and screencasts:
+
+### Tutorials
+
+- [Starlight in 5 minutes](https://www.youtube.com/watch?v=abc)
+
+## Unmaintained / Archived
+
+Projects that look abandoned: archived, inactive for a long time or incompatible with the current Starlight release. They may still work, but check before depending on them:
+
+- [Old plugin](https://github.com/acme/old-plugin) - Does things. _(archived; no commit since 2023-01-01)_`,
+    );
+  });
+
+  test("uses the configured sections and item template", () => {
+    const markdown = renderOutput(
+      target({
+        file: "SHOWCASES.md",
+        sections: [
+          { category: "showcases", title: "Sites", intro: "Built with it." },
+          { category: "themes" },
+        ],
+        item: "* {{title}} <{{url}}>",
+      }),
+      data,
+    );
+    assert.equal(
+      markdown,
+      "## Sites\n\nBuilt with it.\n\n* Acme & Co docs <https://docs.acme.example.com/>",
+    );
+  });
+
+  test("lays sections out as tables with escaped cells", () => {
+    const tableData = {
+      ...data,
+      entries: [
+        ...entries,
+        {
+          title: "Docs | Acme",
+          url: "https://docs.pipe.example.com/",
+          description: "Uses a | and {braces}.",
+          category: "showcases",
+          firstSeen: "2026-01-10",
+        },
+      ],
+    };
+    const sections = [
+      { category: "showcases", layout: "table", intro: "Sites:" },
+      {
+        category: "videos",
+        layout: "table",
+        columns: [
+          { title: "Video", value: "[{{title}}]({{url}})" },
+          { title: "Topic", value: "{{section}}" },
+        ],
+      },
+    ];
+    assert.equal(
+      renderOutput(target({ file: "SITES.md", sections }), tableData),
+      `## Showcases
+
+Sites:
+
+| Name | Description |
+| --- | --- |
+| [Acme & Co docs](https://docs.acme.example.com/) | The "Acme" manual. |
+| [Docs \\| Acme](https://docs.pipe.example.com/) | Uses a \\| and {braces}. |
+
+## Videos
+
+| Video | Topic |
+| --- | --- |
+| [Starlight in 5 minutes](https://www.youtube.com/watch?v=abc) | Tutorials |`,
+    );
+
+    const mdx = renderOutput(
+      target({
+        format: "mdx",
+        file: "sites.mdx",
+        markers: ["{/* start */}", "{/* end */}"],
+        sections: [sections[0]],
+      }),
+      tableData,
+    );
+    assert.match(
+      mdx,
+      /\| \[Docs \\\| Acme\]\(https:\/\/docs\.pipe\.example\.com\/\) \| Uses a \\\| and &#123;braces&#125;\. \|$/,
+    );
+  });
+
+  test("renders MDX pages with escaped link cards", () => {
+    const mdx = renderOutput(
+      target({
+        format: "mdx",
+        file: "resources.mdx",
+        title: "Resources",
+        sections: [{ category: "showcases" }],
+      }),
+      data,
+    );
+    assert.equal(
+      mdx,
+      `---
+title: "Resources"
+---
+
+import { CardGrid, LinkCard } from "@astrojs/starlight/components";
+
+## Showcases
+
+<CardGrid>
+\t<LinkCard title="Acme &amp; Co docs" href="https://docs.acme.example.com/" description="The &quot;Acme&quot; manual." />
+</CardGrid>
+`,
+    );
+  });
+
+  test("lists the latest additions first in feeds", () => {
+    const options = {
+      file: "feed.xml",
+      link: "https://example.com/awesome",
+      limit: 2,
+    };
+    const atom = renderOutput(target({ ...options, format: "atom" }), data);
+    assert.match(atom, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+    assert.deepEqual(
+      [...atom.matchAll(/<title>(.*)<\/title>/g)].map((m) => m[1]),
+      ["Awesome Starlight", "Acme &amp; Co docs", "Starlight in 5 minutes"],
+    );
+    assert.match(
+      atom,
+      /<updated>2026-10-18T00:00:00\.000Z<\/updated>\n  <author>\n    <name>Awesome Starlight contributors<\/name>\n  <\/author>/,
+    );
+    // The feed changes with its entries, not with every run
+    const later = { ...data, generatedAt: "2026-11-30T03:00:00.000Z" };
+    assert.equal(
+      renderOutput(target({ ...options, format: "atom" }), later),
+      atom,
+    );
+
+    const rss = renderOutput(target({ ...options, format: "rss" }), data);
+    assert.match(rss, /<pubDate>Sun, 18 Oct 2026 00:00:00 GMT<\/pubDate>/);
+    assert.equal(rss.match(/<item>/g).length, 2);
+
+    // Entries of the first run were not added
+    const all = renderOutput(
+      target({ ...options, format: "atom", limit: 50 }),
+      data,
+    );
+    assert.equal(all.match(/<entry>/g).length, 3);
+    assert.doesNotMatch(all, /Old plugin/);
+  });
+
+  test("renders OPML outlines by section and group", () => {
+    const opml = renderOutput(
+      target({
+        format: "opml",
+        file: "list.opml",
+        sections: [{ category: "videos", layout: "upstream" }],
+      }),
+      data,
+    );
+    assert.match(
+      opml,
+      /<outline text="Videos">\n {6}<outline text="Tutorials">\n {8}<outline type="link" text="Starlight in 5 minutes" url="https:\/\/www\.youtube\.com\/watch\?v=abc"\/>\n {6}<\/outline>\n {4}<\/outline>/,
+    );
+  });
+});
+
+describe("replaceBetweenMarkers()", () => {
+  test("replaces what is between the markers", () => {
+    const markers = { file: "a.md", markers: ["<!-- a -->", "<!-- b -->"] };
+    assert.equal(
+      replaceBetweenMarkers(
+        "x\n<!-- a -->\nold\n<!-- b -->\ny",
+        "new",
+        markers,
+      ),
+      "x\n<!-- a -->\n\nnew\n\n<!-- b -->\ny",
+    );
+    assert.throws(
+      () => replaceBetweenMarkers("nothing", "new", markers),
+      /Markers not found in a\.md/,
+    );
+  });
+});
+
+describe("validateOutputs()", () => {
+  test("reports unknown formats, missing feed links and bad sections", () => {
+    assert.deepEqual(
+      validateOutputs({
+        readme: {},
+        docs: { format: "html", file: "docs.html" },
+        news: { format: "atom", file: "news.xml", author: "" },
+        list: {
+          file: "LIST.md",
+          markers: ["<!-- only one -->"],
+          sections: [
+            { category: "posts", layout: "grid" },
+            { category: "recent", weeks: 0 },
+            { category: "themes", layout: "table", columns: [{ title: "A" }] },
+          ],
+        },
+        off: { enabled: false, format: "html" },
+      }),
+      [
+        "outputs.docs.format must be one of: markdown, mdx, rss, atom, opml",
+        "outputs.news.link is required for atom feeds",
+        "outputs.news.author is required for atom feeds",
+        "outputs.list.markers must be a [start, end] pair",
+        "outputs.list.sections[0].category must be one of: plugins, themes, tools, showcases, videos, articles, recent, unmaintained",
+        "outputs.list.sections[0].layout must be one of: list, subcategories, upstream, table",
+        "outputs.list.sections[1].weeks must be a positive integer",
+        "outputs.list.sections[2].columns must be a list of { title, value }",
+      ],
+    );
+  });
+});
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { CATEGORIES } from "../scripts/lib/entry-store.js";
+import { buildApi, renderSitePage, writeSite } from "../scripts/lib/site.js";
+
+const entries = [
+  {
+    id: "https://github.com/a/starlight-blog",
+    title: "starlight-blog",
+    url: "https://github.com/a/starlight-blog",
+    description: "Blog plugin",
+    category: "plugins",
+    subcategory: "blog",
+    github: { stars: 120, pushedAt: "2026-09-01T00:00:00Z" },
+    compatibility: { "@astrojs/starlight": { latest: true, label: ">=0.30" } },
+    source: "npm",
+    firstSeen: "2026-01-01",
+    lastValidated: "2026-10-18",
+  },
+  {
+    id: "https://docs.example.com",
+    title: "Example </script><script>alert(1)</script> Docs",
+    url: "https://docs.example.com",
+    description: "",
+    category: "showcases",
+    source: "astro-showcase",
+    firstSeen: "2026-10-18",
+    lastValidated: "2026-10-18",
+  },
+];
+
+const meta = {
+  generatedAt: "2026-10-18T03:00:00.000Z",
+  starlightVersion: "0.36.0",
+};
+
+describe("buildApi()", () => {
+  test("lists every entry and splits them by category", () => {
+    const files = buildApi(entries, meta);
+
+    assert.equal(files["api/entries.json"].count, 2);
+    assert.deepEqual(files["api/entries.json"].entries, entries);
+    assert.equal(files["api/entries.json"].starlightVersion, "0.36.0");
+    for (const category of CATEGORIES) {
+      assert.ok(files[`api/${category}.json`], category);
+    }
+    assert.deepEqual(files["api/plugins.json"].entries, [entries[0]]);
+    assert.equal(files["api/themes.json"].count, 0);
+
+    const index = files["api/index.json"];
+    assert.deepEqual(
+      index.categories.find((c) => c.key === "showcases"),
+      {
+        key: "showcases",
+        title: "Showcases",
+        count: 1,
+        path: "api/showcases.json",
+      },
+    );
+    assert.ok(index.subcategories.some((s) => s.key === "blog"));
+  });
+});
+
+describe("renderSitePage()", () => {
+  test("embeds the entries without letting them close the script", () => {
+    const html = renderSitePage({
+      title: "Awesome <Starlight>",
+      entries,
+      ...meta,
+    });
+
+    assert.match(html, /<title>Awesome &lt;Starlight&gt;<\/title>/);
+    assert.equal(html.match(/<\/script>/g).length, 2);
+
+    const [, embedded] = html.match(
+      /<script id="data" type="application\/json">(.*?)<\/script>/s,
+    );
+    const data = JSON.parse(embedded);
+    assert.deepEqual(data.entries, entries);
+    assert.equal(data.generatedAt, meta.generatedAt);
+  });
+
+  test("leaves out entries whose link is not a web page", () => {
+    const unsafe = [
+      ...entries,
+      { ...entries[0], title: "Script", url: "javascript:alert(1)" },
+      { ...entries[0], title: "Data", url: "data:text/html,<b>hi</b>" },
+      { ...entries[0], title: "Broken", url: "not a url" },
+    ];
+    const html = renderSitePage({ title: "Awesome", entries: unsafe, ...meta });
+    const [, embedded] = html.match(
+      /<script id="data" type="application\/json">(.*?)<\/script>/s,
+    );
+    assert.deepEqual(JSON.parse(embedded).entries, entries);
+
+    const files = buildApi(unsafe, meta);
+    assert.deepEqual(files["api/entries.json"].entries, entries);
+    assert.equal(files["api/plugins.json"].count, 1);
+  });
+});
+
+describe("writeSite()", () => {
+  test("writes the page and the JSON API", async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "site-"));
+    try {
+      const count = await writeSite(outDir, {
+        title: "Awesome",
+        entries,
+        ...meta,
+      });
+
+      const files = [
+        "index.html",
+        ...(await fs.readdir(path.join(outDir, "api"))).map((f) => `api/${f}`),
+      ];
+      assert.equal(files.length, count);
+      assert.ok(files.includes("api/entries.json"));
+      const api = JSON.parse(
+        await fs.readFile(path.join(outDir, "api", "plugins.json"), "utf-8"),
+      );
+      assert.equal(api.category, "plugins");
+      assert.equal(api.entries[0].title, "starlight-blog");
+    } finally {
+      await fs.rm(outDir, { recursive: true, force: true });
+    }
+  });
+});
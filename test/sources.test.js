@@ -0,0 +1,251 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { githubSearch } from "../scripts/sources/github-search.js";
+import { starlightSites } from "../scripts/sources/starlight-sites.js";
+
+const SITES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "sites",
+);
+
+const repo = (fullName, extra = {}) => ({
+  name: fullName.split("/")[1],
+  full_name: fullName,
+  html_url: `https://github.com/${fullName}`,
+  description: "",
+  homepage: null,
+  topics: [],
+  fork: false,
+  ...extra,
+});
+
+// Minimal source context answering GitHub searches, metadata and page
+// fetches with the given results
+function fakeContext({
+  repositories = [],
+  code = [],
+  files = {},
+  listed = [],
+  metadata = {},
+}) {
+  const requests = [];
+  return {
+    requests,
+    github: {
+      available: true,
+      headers: () => ({}),
+      get: (slug) => metadata[slug],
+    },
+    http: {
+      async fetch(url) {
+        requests.push(url);
+        const items = url.includes("/search/code") ? code : repositories;
+        return Response.json({ items });
+      },
+    },
+    async fetchText(url) {
+      if (!(url in files)) throw new Error(`404 ${url}`);
+      const file = files[url];
+      return typeof file === "string" ? file : JSON.stringify(file);
+    },
+    async fetchPage(url) {
+      requests.push(url);
+      if (!(url in files)) {
+        return { result: { ok: false, kind: "hard", status: 404 }, html: null };
+      }
+      return {
+        result: { ok: true, kind: "ok", status: 200 },
+        html: files[url],
+      };
+    },
+    collected: () => listed,
+    noteDrop: () => {},
+    prefetchGitHubMetadata: async () => {},
+    validateUrl: async () => ({ ok: true, kind: "ok", status: 200 }),
+    acceptLink: () => true,
+  };
+}
+
+const options = { ...githubSearch.defaults, topics: ["starlight-plugin"] };
+
+describe("github source", () => {
+  test("keeps relevant, unforked repositories not listed yet", async () => {
+    const context = fakeContext({
+      repositories: [
+        repo("a/starlight-one", {
+          description: "Astro Starlight plugin",
+          homepage: "https://one.example.com",
+        }),
+        repo("b/starlight-fork", {
+          description: "Astro Starlight",
+          fork: true,
+        }),
+        repo("c/starlight-cookies", { description: "Cookie recipes" }),
+        repo("d/starlight-listed", { description: "Astro Starlight plugin" }),
+      ],
+      listed: [
+        {
+          title: "starlight-listed",
+          url: "https://github.com/d/starlight-listed",
+          category: "plugins",
+        },
+      ],
+    });
+
+    const items = await githubSearch.fetch(context, {
+      ...options,
+      codeSearch: false,
+    });
+    assert.deepEqual(items, [
+      {
+        title: "starlight-one",
+        url: "https://one.example.com",
+        description: "Astro Starlight plugin",
+        repository: "https://github.com/a/starlight-one",
+        source: "github",
+        keywords: [],
+        validated: true,
+      },
+    ]);
+    assert.match(context.requests[0], /topic%3Astarlight-plugin\+fork%3Afalse/);
+  });
+
+  test("code search only keeps packages with a Starlight peer dependency", async () => {
+    const raw = "https://raw.githubusercontent.com";
+    const context = fakeContext({
+      code: [
+        { path: "packages/kit/package.json", repository: repo("e/tools") },
+        { path: "package.json", repository: repo("f/docs") },
+      ],
+      files: {
+        [`${raw}/e/tools/HEAD/packages/kit/package.json`]: {
+          name: "@e/starlight-kit",
+          description: "Astro Starlight kit",
+          peerDependencies: { "@astrojs/starlight": ">=0.30.0" },
+        },
+        [`${raw}/f/docs/HEAD/package.json`]: {
+          name: "f-docs",
+          private: true,
+          dependencies: { "@astrojs/starlight": "^0.36.0" },
+        },
+      },
+    });
+
+    const items = await githubSearch.fetch(context, options);
+    assert.deepEqual(items, [
+      {
+        title: "@e/starlight-kit",
+        url: "https://github.com/e/tools/tree/HEAD/packages/kit",
+        description: "Astro Starlight kit",
+        package: "@e/starlight-kit",
+        repository: "https://github.com/e/tools/tree/HEAD/packages/kit",
+        source: "github",
+        keywords: [],
+        validated: true,
+      },
+    ]);
+  });
+});
+
+describe("starlight-sites source", () => {
+  const readSite = (name) => fs.readFile(path.join(SITES, name), "utf-8");
+
+  test("lists the candidate sites built with Starlight as showcases", async () => {
+    const drops = [];
+    const context = fakeContext({
+      code: [
+        { path: "package.json", repository: repo("a/docs") },
+        { path: "docs/package.json", repository: repo("a/docs") },
+        { path: "package.json", repository: repo("b/blog") },
+        { path: "package.json", repository: repo("c/listed") },
+      ],
+      metadata: {
+        "a/docs": { homepage: "https://docs.a.dev" },
+        "b/blog": { homepage: "https://blog.b.dev" },
+        "c/listed": { homepage: "https://www.listed.dev/" },
+      },
+      files: {
+        "https://docs.a.dev": await readSite("starlight-generator.html"),
+        "https://blog.b.dev": await readSite("astro-site.html"),
+        "https://extra.dev": await readSite("starlight-markup.html"),
+      },
+      listed: [{ title: "Listed", url: "https://listed.dev" }],
+    });
+    context.noteDrop = (url, reason) => drops.push([url, reason]);
+
+    const items = await starlightSites.fetch(context, {
+      ...starlightSites.defaults,
+      sites: ["https://extra.dev"],
+    });
+    assert.deepEqual(
+      items.map(({ title, url, description, category, source }) => ({
+        title,
+        url,
+        description,
+        category,
+        source,
+      })),
+      [
+        {
+          title: "Acme Documentation",
+          url: "https://extra.dev",
+          description: "Guides and API reference for Acme.",
+          category: "showcases",
+          source: "starlight-sites",
+        },
+        {
+          title: "Pixel Docs & Guides",
+          url: "https://docs.a.dev",
+          description: "Guides for Pixel's UI components",
+          category: "showcases",
+          source: "starlight-sites",
+        },
+      ],
+    );
+    assert.deepEqual(drops, [
+      ["https://www.listed.dev/", "deduped (already listed upstream)"],
+      ["https://blog.b.dev", "not built with Starlight"],
+    ]);
+    // Each candidate page is requested once
+    const pages = context.requests.filter((url) => !url.includes("github"));
+    assert.deepEqual(pages.sort(), [
+      "https://blog.b.dev",
+      "https://docs.a.dev",
+      "https://extra.dev",
+    ]);
+  });
+
+  test("checks homepages given without a scheme and skips invalid ones", async () => {
+    const drops = [];
+    const context = fakeContext({
+      code: [
+        { path: "package.json", repository: repo("a/docs") },
+        { path: "package.json", repository: repo("b/script") },
+        { path: "package.json", repository: repo("c/broken") },
+      ],
+      metadata: {
+        "a/docs": { homepage: "docs.a.dev" },
+        "b/script": { homepage: "javascript:alert(1)" },
+        "c/broken": { homepage: "http://[broken" },
+      },
+      files: {
+        "https://docs.a.dev": await readSite("starlight-generator.html"),
+      },
+    });
+    context.noteDrop = (url, reason) => drops.push([url, reason]);
+
+    const items = await starlightSites.fetch(context, starlightSites.defaults);
+    assert.deepEqual(
+      items.map((item) => item.url),
+      ["https://docs.a.dev"],
+    );
+    assert.deepEqual(drops, [
+      ["javascript:alert(1)", "invalid URL"],
+      ["http://[broken", "invalid URL"],
+    ]);
+  });
+});
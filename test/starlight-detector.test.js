@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  detectStarlight,
+  metaDescription,
+  siteTitle,
+} from "../scripts/lib/starlight-detector.js";
+
+const SITES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "sites",
+);
+
+const readSite = (name) => fs.readFile(path.join(SITES, name), "utf-8");
+
+describe("detectStarlight()", () => {
+  test("recognizes the Starlight generator meta tag", async () => {
+    const html = await readSite("starlight-generator.html");
+    assert.deepEqual(detectStarlight(html), {
+      via: "generator",
+      version: "0.36.1",
+    });
+    assert.deepEqual(
+      detectStarlight('<meta content="Starlight" name=generator>'),
+      { via: "generator", version: null },
+    );
+  });
+
+  test("falls back to Starlight markup when the tag was removed", async () => {
+    const html = await readSite("starlight-markup.html");
+    assert.deepEqual(detectStarlight(html), {
+      via: "markup",
+      signatures: [
+        "starlight-theme-select",
+        "starlight-menu-button",
+        "starlight-toc",
+        "sl-markdown-content",
+        "sl-flex",
+      ],
+    });
+  });
+
+  test("rejects other Astro sites, even with a borrowed class", async () => {
+    assert.equal(detectStarlight(await readSite("astro-site.html")), null);
+    assert.equal(detectStarlight(""), null);
+  });
+});
+
+describe("siteTitle()", () => {
+  test("prefers og:site_name, then the site part of <title>", async () => {
+    assert.equal(
+      siteTitle(await readSite("starlight-generator.html")),
+      "Pixel Docs & Guides",
+    );
+    assert.equal(
+      siteTitle(await readSite("starlight-markup.html")),
+      "Acme Documentation",
+    );
+    assert.equal(siteTitle("<title>Install | Kit Docs</title>"), "Kit Docs");
+    assert.equal(siteTitle("<p>no title</p>"), "");
+  });
+});
+
+describe("metaDescription()", () => {
+  test("prefers the description meta tag, then OpenGraph and Twitter", async () => {
+    assert.equal(
+      metaDescription(await readSite("starlight-generator.html")),
+      "Guides for Pixel's UI components",
+    );
+    assert.equal(
+      metaDescription(
+        `<meta property="og:description" content="From OpenGraph">
+         <meta content='Docs for &#x201C;Kit&#x201D; &amp; friends' name=description>`,
+      ),
+      "Docs for “Kit” & friends",
+    );
+    assert.equal(metaDescription('<meta name="description" content="  ">'), "");
+    assert.equal(metaDescription("<p>no meta</p>"), "");
+  });
+});
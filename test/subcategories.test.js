@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { headingAnchor } from "../scripts/lib/markdown.js";
+import { Overrides } from "../scripts/lib/overrides.js";
+import {
+  classifyPlugin,
+  subcategoryFromHeading,
+} from "../scripts/lib/subcategories.js";
+
+const plugin = (title, description = "", extra = {}) => ({
+  title,
+  description,
+  url: `https://github.com/example/${title}`,
+  ...extra,
+});
+
+describe("classifyPlugin()", () => {
+  test("matches names, descriptions and npm keywords", () => {
+    assert.equal(classifyPlugin(plugin("starlight-blog")), "blog");
+    assert.equal(
+      classifyPlugin(plugin("starlight-openapi", "Generate API docs")),
+      "api",
+    );
+    assert.equal(
+      classifyPlugin(plugin("astro-d2", "Render D2 diagrams")),
+      "diagrams",
+    );
+    assert.equal(
+      classifyPlugin(plugin("starlight-x", "", { keywords: ["sidebar"] })),
+      "navigation",
+    );
+    assert.equal(classifyPlugin(plugin("starlight-utils", "Misc")), "other");
+  });
+
+  test("prefers a topical upstream heading", () => {
+    const item = plugin("starlight-docsearch", "Code-friendly results", {
+      section: "Search providers",
+    });
+    assert.equal(classifyPlugin(item), "search");
+    assert.equal(subcategoryFromHeading("Community plugins"), undefined);
+    assert.equal(
+      classifyPlugin({ ...item, section: "Community plugins" }),
+      "search",
+    );
+  });
+});
+
+describe("headingAnchor()", () => {
+  test("follows GitHub's heading anchors", () => {
+    assert.equal(headingAnchor("Navigation & Sidebar"), "navigation--sidebar");
+    assert.equal(headingAnchor("API Reference"), "api-reference");
+    assert.equal(headingAnchor("Blog/Changelog"), "blogchangelog");
+  });
+});
+
+describe("subcategory overrides", () => {
+  test("set the subcategory of matching entries", () => {
+    const overrides = new Overrides({
+      entries: [
+        { match: { title: "starlight-utils" }, subcategory: "navigation" },
+      ],
+    });
+    const { plugins } = overrides.apply({
+      plugins: [plugin("starlight-utils")],
+    });
+    assert.equal(plugins[0].subcategory, "navigation");
+  });
+
+  test("reject unknown subcategories", () => {
+    assert.throws(
+      () =>
+        new Overrides({
+          entries: [{ match: { title: "x" }, subcategory: "widgets" }],
+        }),
+      /unknown subcategory "widgets"/,
+    );
+  });
+});